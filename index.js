@@ -7,6 +7,15 @@ import path from 'node:path';
 import os from 'node:os';
 import inquirer from 'inquirer';
 import WacomBLE from './lib/wacom-ble.js';
+import {BACKEND_NAMES, createBackend} from './lib/backends/index.js';
+import DeviceSimulator from './lib/device-simulator.js';
+import TraceRecorder from './lib/trace.js';
+import {EXIT_CODES, AuthorizationError, InterruptedError, exitCodeFor} from './lib/errors.js';
+import NoteRenderer from './lib/note-renderer.js';
+import NoteStore from './lib/note-store.js';
+import StrokeParser from './lib/stroke-parser.js';
+import SVGConverter from './lib/svg-converter.js';
+import LiveServer from './lib/live-server.js';
 import config from './lib/config.js';
 import logger, {setVerbose} from './lib/logger.js';
 
@@ -45,21 +54,344 @@ async function collectProfilePreferences(defaults = {}) {
       choices: orientationChoices,
       default: defaultOrientation,
     },
+    {
+      type: 'input',
+      name: 'alias',
+      message: 'Short alias for this device (optional, usable with --device)',
+      default: defaults.alias || undefined,
+      filter: input => (input || '').trim(),
+      validate: input => {
+        try {
+          config.validateAlias(defaults.address, input);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      },
+    },
   ]);
 
   logger.blank();
   logger.info(`Notes will be downloaded to: ${answers.downloadDir}`);
   logger.info(`Tablet orientation set to: ${answers.orientation}`);
+  if (answers.alias) {
+    logger.info(`Device alias set to: ${answers.alias}`);
+  }
   logger.blank();
 
   return {
     downloadDir: answers.downloadDir,
     orientation: answers.orientation,
+    alias: answers.alias || null,
   };
 }
 
+// BLE backend and its options, set from the global --backend, --simulate,
+// --replay-trace and --record-trace options
+let backendName = 'auto';
+const backendOptions = {};
+let traceFile = null;
+
+function createWacom() {
+  // Only commands that use Bluetooth open (and overwrite) the trace file
+  if (traceFile && !backendOptions.trace) {
+    const trace = new TraceRecorder(traceFile, {
+      args: process.argv.slice(2),
+      platform: process.platform,
+      node: process.version,
+    });
+    process.on('exit', () => trace.close());
+    backendOptions.trace = trace;
+  }
+  return new WacomBLE({backend: createBackend(backendName, backendOptions)});
+}
+
+// Ask which device to use when several are in range
+async function chooseDevice(devices) {
+  if (!process.stdin.isTTY) {
+    logger.note(`${devices.length} devices found, using the first one. Pass --device to choose.`);
+    return devices[0];
+  }
+
+  logger.blank();
+  const {index} = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'index',
+      message: 'Several Wacom devices are in range. Which one should be used?',
+      choices: devices.map((device, index) => ({
+        name: `${device.alias ? `${device.alias} - ` : ''}${device.name} ${device.registered ? '[registered]' : '[unregistered]'} (${device.address})`,
+        value: index,
+      })),
+    },
+  ]);
+  return devices[index];
+}
+
+// Scan for a device and make sure it is registered, exiting otherwise
+async function connectRegisteredDevice(timeout, selector) {
+  logger.info('Scanning for Wacom devices...');
+  logger.detail('Make sure your device is powered on. You may need to press the button briefly to wake it up.');
+  if (logger.isVerbose()) {
+    logger.detail('Verbose mode enabled: showing all discovered BLE devices');
+  }
+  const wacom = createWacom();
+  const timeoutMs = Number(timeout);
+
+  const device = await wacom.scanAndConnect(timeoutMs, false, {device: selector, chooseDevice});
+  if (!device) {
+    logger.error('No Wacom device found or connection failed');
+    process.exit(1);
+  }
+
+  if (!device.registered) {
+    logger.blank();
+    logger.error('Error: Device is not registered!');
+    logger.note('Please register the device first using: wacom-download register');
+    await wacom.disconnect();
+    process.exit(1);
+  }
+
+  logger.blank();
+  logger.success(`Found registered device: ${device.name || device.id}`);
+  return {wacom, device};
+}
+
+// Let the first Ctrl-C stop wacom at its next safe point (see WacomBLE.requestStop)
+// instead of killing the process mid-transfer; a second one quits at once.
+// Returns a function that removes the handler.
+function stopOnInterrupt(wacom) {
+  const onInterrupt = () => {
+    if (wacom.stopRequested) {
+      logger.warn('Quitting without cleaning up');
+      process.exit(EXIT_CODES.interrupted);
+    }
+    logger.blank();
+    logger.warn('Stopping after the current step... (press Ctrl-C again to quit immediately)');
+    wacom.requestStop();
+  };
+  process.on('SIGINT', onInterrupt);
+  return () => process.removeListener('SIGINT', onInterrupt);
+}
+
+// Say which notes an interrupted download saved and how many it left behind
+function reportInterruptedDownload(error) {
+  logger.blank();
+  logger.warn('Download interrupted.');
+  if (error.notes.length > 0) {
+    logger.info(`Saved ${error.notes.length} note(s):`);
+    for (const note of error.notes) {
+      logger.detail(note.filename || note.rawFilename);
+    }
+  } else {
+    logger.info('No notes were saved.');
+  }
+  if (error.remaining) {
+    logger.info(`${error.remaining} note(s) left on the device; run download again to get them.`);
+  }
+}
+
+function resolveOutputDir(output, savedConfig) {
+  let outputDir;
+  if (output) {
+    outputDir = path.resolve(output);
+  } else if (savedConfig?.downloadDir) {
+    outputDir = path.resolve(savedConfig.downloadDir);
+  } else {
+    outputDir = path.resolve(path.join(os.homedir(), 'wacom-notes'));
+  }
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, {recursive: true});
+    logger.verbose(`Created output directory: ${outputDir}`);
+  }
+  return outputDir;
+}
+
+// Download from every registered device in range, one after the other,
+// each into its own notes directory, then print a per-device summary
+async function downloadFromAllDevices({output, timeout}) {
+  logger.info('Scanning for all registered Wacom devices...');
+  logger.detail('Make sure your devices are powered on. You may need to press their buttons briefly to wake them up.');
+  const wacom = createWacom();
+  const devices = await wacom.scanDevices(Number(timeout), {registeredOnly: true});
+  if (devices.length === 0) {
+    throw new Error('No registered Wacom devices found');
+  }
+
+  const removeInterruptHandler = stopOnInterrupt(wacom);
+  const results = [];
+  for (const device of devices) {
+    if (wacom.stopRequested) {
+      logger.note(`Skipping ${wacom.describeDevice(device)}`);
+      continue;
+    }
+    logger.blank();
+    logger.headline(wacom.describeDevice(device));
+    const savedConfig = config.getDevice(device.address);
+    const result = {device, outputDir: resolveOutputDir(output, savedConfig), notes: 0, error: null};
+    try {
+      await wacom.connectDevice(device);
+      const notes = await wacom.downloadAllNotes(result.outputDir, {orientation: savedConfig.orientation});
+      result.notes = notes.length;
+    } catch (error) {
+      result.error = error;
+      if (error instanceof InterruptedError) {
+        result.notes = error.notes.length;
+        reportInterruptedDownload(error);
+      } else {
+        logger.error(`Error: ${error.message}`);
+      }
+    } finally {
+      await wacom.disconnect();
+    }
+    results.push(result);
+  }
+  removeInterruptHandler();
+
+  logger.blank();
+  logger.divider();
+  logger.headline('Summary:');
+  for (const {device, outputDir, notes, error} of results) {
+    if (error instanceof InterruptedError) {
+      logger.warn(`${wacom.describeDevice(device)}: interrupted - ${notes} note(s) saved to ${outputDir}`);
+    } else if (error) {
+      logger.error(`${wacom.describeDevice(device)}: failed - ${error.message}`);
+    } else {
+      logger.success(`${wacom.describeDevice(device)}: ${notes} note(s) saved to ${outputDir}`);
+    }
+  }
+  return results;
+}
+
+// Watch mode timings: how long each scan runs before it is restarted, the pause
+// after a successful sync (devices keep advertising data-ready for a while),
+// and the exponential backoff after failures
+const WATCH_SCAN_WINDOW_MS = 60000;
+const WATCH_SYNC_COOLDOWN_MS = 30000;
+const WATCH_BACKOFF_BASE_MS = 5000;
+const WATCH_BACKOFF_MAX_MS = 5 * 60 * 1000;
+
+// Keep scanning and download from registered devices whenever they advertise
+// that they have data. Ctrl-C while waiting quits at once; during a sync it
+// stops the download at its next safe point and ends the watch.
+async function watchForNotes({output, selector}) {
+  const wacom = createWacom();
+  // address -> {failures, retryAt}
+  const deviceState = new Map();
+  let scanFailures = 0;
+
+  const backoff = failures => Math.min(WATCH_BACKOFF_BASE_MS * 2 ** (failures - 1), WATCH_BACKOFF_MAX_MS);
+  const isReady = device =>
+    device.registered &&
+    device.mode === 'data-ready' &&
+    (!selector || wacom.matchesSelector(device, selector)) &&
+    (deviceState.get(device.address)?.retryAt ?? 0) <= Date.now();
+
+  logger.info('Watching for registered devices with notes to sync. Press Ctrl-C to stop.');
+  for (;;) {
+    let device;
+    try {
+      device = await wacom.waitForDevice(isReady, WATCH_SCAN_WINDOW_MS);
+      scanFailures = 0;
+    } catch (error) {
+      scanFailures++;
+      const delay = backoff(scanFailures);
+      logger.warn(`Scan failed: ${error.message}. Retrying in ${Math.round(delay / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      continue;
+    }
+    if (!device) {
+      logger.verbose('No device with data ready, still watching...');
+      continue;
+    }
+
+    logger.blank();
+    logger.info(`${new Date().toLocaleString()}: ${wacom.describeDevice(device)} has notes ready`);
+    const savedConfig = config.getDevice(device.address);
+    const state = deviceState.get(device.address) || {failures: 0, retryAt: 0};
+    const removeInterruptHandler = stopOnInterrupt(wacom);
+    try {
+      await wacom.connectDevice(device);
+      const outputDir = resolveOutputDir(output, savedConfig);
+      const notes = await wacom.downloadAllNotes(outputDir, {orientation: savedConfig.orientation});
+      logger.success(`${wacom.describeDevice(device)}: ${notes.length} note(s) saved`);
+      deviceState.set(device.address, {failures: 0, retryAt: Date.now() + WATCH_SYNC_COOLDOWN_MS});
+    } catch (error) {
+      if (error instanceof InterruptedError) {
+        reportInterruptedDownload(error);
+        return;
+      }
+      state.failures++;
+      logger.error(`${wacom.describeDevice(device)}: ${error.message}`);
+      if (error instanceof AuthorizationError) {
+        // Retrying cannot fix a rejected UUID
+        state.retryAt = Infinity;
+        logger.detail('Not retrying this device; register it again with: wacom-download register');
+      } else {
+        const delay = backoff(state.failures);
+        state.retryAt = Date.now() + delay;
+        logger.detail(`Will retry this device in ${Math.round(delay / 1000)}s (attempt ${state.failures + 1})`);
+      }
+      deviceState.set(device.address, state);
+    } finally {
+      removeInterruptHandler();
+      await wacom.disconnect();
+    }
+    // Stopped after the download had finished, e.g. while disconnecting
+    if (wacom.stopRequested) {
+      return;
+    }
+  }
+}
+
 const cli = yargs(hideBin(process.argv)).scriptName('wacom-download').usage('$0 <command> [options]').version('1.0.0').help().wrap(null);
 
+cli
+  .option('backend', {
+    type: 'string',
+    choices: BACKEND_NAMES,
+    default: 'auto',
+    global: true,
+    description: 'Bluetooth backend (auto picks mac on macOS, bluez elsewhere)',
+  })
+  .option('simulate', {
+    type: 'string',
+    global: true,
+    description: `Talk to a simulated device instead of Bluetooth (${DeviceSimulator.MODELS.join(', ')}; default slate)`,
+  })
+  .option('record-trace', {
+    type: 'string',
+    global: true,
+    description: 'Record every BLE command and notification to this file (JSON Lines)',
+  })
+  .option('replay-trace', {
+    type: 'string',
+    global: true,
+    description: 'Replay a trace recorded with --record-trace instead of using Bluetooth',
+  })
+  .middleware(argv => {
+    backendName = argv.backend;
+    if (argv.simulate !== undefined && argv.replayTrace) {
+      throw new Error('--simulate and --replay-trace cannot be used together');
+    }
+    if (argv.simulate !== undefined) {
+      const model = argv.simulate || 'slate';
+      if (!DeviceSimulator.MODELS.includes(model)) {
+        throw new Error(`Unknown simulated model: ${model} (expected one of ${DeviceSimulator.MODELS.join(', ')})`);
+      }
+      backendName = 'simulate';
+      backendOptions.model = model;
+    }
+    if (argv.replayTrace) {
+      backendName = 'replay';
+      backendOptions.file = path.resolve(argv.replayTrace);
+    }
+    if (argv.recordTrace) {
+      traceFile = path.resolve(argv.recordTrace);
+    }
+  });
+
 cli.command(
   ['download', '$0'],
   'Download notes from a registered Wacom device',
@@ -70,6 +402,18 @@ cli.command(
         type: 'string',
         describe: 'Output directory for SVG files',
       })
+      .option('device', {
+        alias: 'd',
+        type: 'string',
+        describe: 'Device to use: alias, Bluetooth address or advertised name',
+      })
+      .option('all', {
+        alias: 'a',
+        type: 'boolean',
+        default: false,
+        describe: 'Scan for the full timeout and download from every registered device found',
+      })
+      .conflicts('all', 'device')
       .option('timeout', {
         alias: 't',
         type: 'number',
@@ -82,73 +426,459 @@ cli.command(
         default: false,
         describe: 'Enable verbose logging',
       }),
-  async ({output, verbose, timeout}) => {
+  async ({output, device: selector, all, verbose, timeout}) => {
+    let wacom = null;
     try {
       if (verbose) {
         setVerbose(true);
       }
-      logger.info('Scanning for Wacom devices...');
-      logger.detail('Make sure your device is powered on. You may need to press the button briefly to wake it up.');
-      if (verbose) {
-        logger.detail('Verbose mode enabled: showing all discovered BLE devices');
+      if (all) {
+        const results = await downloadFromAllDevices({output, timeout});
+        // Exit with the code of the first failure, so scripts can tell why it failed
+        const failed = results.find(({error}) => error);
+        process.exit(failed ? exitCodeFor(failed.error) : 0);
       }
-      const wacom = new WacomBLE();
-      const timeoutMs = Number(timeout);
 
-      const device = await wacom.scanAndConnect(timeoutMs, false);
-      if (!device) {
-        logger.error('No Wacom device found or connection failed');
-        process.exit(1);
-      }
+      const connected = await connectRegisteredDevice(timeout, selector);
+      wacom = connected.wacom;
+      const {device} = connected;
+      stopOnInterrupt(wacom);
 
-      if (!device.registered) {
-        logger.blank();
-        logger.error('Error: Device is not registered!');
-        logger.note('Please register the device first using: wacom-download register');
+      const savedConfig = config.getDevice(device.address);
+      const outputDir = resolveOutputDir(output, savedConfig);
+
+      const orientation = savedConfig?.orientation || 'landscape';
+      // if (orientation === 'portrait') {
+      //   logger.info('Portrait orientation selected: rotating SVG output 90° clockwise.');
+      //  }
+
+      logger.info('Connecting and authenticating...');
+
+      // Download all notes (they are saved immediately during download)
+      const notes = await wacom.downloadAllNotes(outputDir, {orientation});
+
+      await wacom.disconnect();
+      logger.success(`Done! ${notes.length} note(s) saved to ${outputDir}`);
+      process.exit(0);
+    } catch (error) {
+      if (error instanceof InterruptedError) {
+        reportInterruptedDownload(error);
         await wacom.disconnect();
-        process.exit(1);
+        process.exit(error.exitCode);
+      }
+      logger.error(`Error: ${error.message}`);
+      if (error.stack) {
+        logger.detail(error.stack);
       }
+      process.exit(exitCodeFor(error));
+    }
+  },
+);
 
+cli.command(
+  'watch',
+  'Keep running and download notes whenever a registered device advertises that it has data',
+  y =>
+    y
+      .option('output', {
+        alias: 'o',
+        type: 'string',
+        describe: "Output directory for SVG files (default: each device's saved download directory)",
+      })
+      .option('device', {
+        alias: 'd',
+        type: 'string',
+        describe: 'Only sync this device: alias, Bluetooth address or advertised name',
+      })
+      .option('verbose', {
+        alias: 'v',
+        type: 'boolean',
+        default: false,
+        describe: 'Enable verbose logging',
+      }),
+  async ({output, device: selector, verbose}) => {
+    try {
+      if (verbose) {
+        setVerbose(true);
+      }
+      await watchForNotes({output, selector});
+      process.exit(EXIT_CODES.interrupted);
+    } catch (error) {
+      logger.error(`Error: ${error.message}`);
+      if (error.stack) {
+        logger.detail(error.stack);
+      }
+      process.exit(exitCodeFor(error));
+    }
+  },
+);
+
+cli.command(
+  'live',
+  'Stream live pen position and pressure from a registered device until Ctrl-C',
+  y =>
+    y
+      .option('json', {
+        type: 'boolean',
+        default: false,
+        describe: 'Print one JSON object per pen event',
+      })
+      .option('device', {
+        alias: 'd',
+        type: 'string',
+        describe: 'Device to use: alias, Bluetooth address or advertised name',
+      })
+      .option('timeout', {
+        alias: 't',
+        type: 'number',
+        default: 30000,
+        describe: 'Scan timeout in milliseconds',
+      })
+      .option('verbose', {
+        alias: 'v',
+        type: 'boolean',
+        default: false,
+        describe: 'Enable verbose logging',
+      }),
+  async ({json, device: selector, verbose, timeout}) => {
+    try {
+      if (verbose) {
+        setVerbose(true);
+      }
+      const {wacom} = await connectRegisteredDevice(timeout, selector);
+
+      const interrupted = new Promise(resolve => process.once('SIGINT', resolve));
+      await wacom.startLiveMode(event => {
+        if (json) {
+          console.log(JSON.stringify(event));
+        } else if (event.type === 'point') {
+          logger.detail(`x=${event.x} y=${event.y} p=${event.p}`);
+        } else {
+          logger.detail('pen up');
+        }
+      });
+      logger.success('Live mode on. Draw on the tablet; press Ctrl-C to stop.');
+
+      await interrupted;
       logger.blank();
-      logger.success(`Found registered device: ${device.name || device.id}`);
+      logger.info('Restoring paper mode...');
+      try {
+        await wacom.stopLiveMode();
+      } catch (error) {
+        logger.warn(`Could not restore paper mode: ${error.message}`);
+      }
+      await wacom.disconnect();
+      logger.success('Done!');
+      process.exit(0);
+    } catch (error) {
+      logger.error(`Error: ${error.message}`);
+      if (error.stack) {
+        logger.detail(error.stack);
+      }
+      process.exit(exitCodeFor(error));
+    }
+  },
+);
 
-      const savedConfig = config.getDevice(device.address);
-      let outputDir = output ? path.resolve(output) : null;
+cli.command(
+  'serve',
+  'Stream live pen input to a browser canvas (whiteboard) until Ctrl-C',
+  y =>
+    y
+      .option('port', {
+        alias: 'p',
+        type: 'number',
+        default: 8080,
+        describe: 'HTTP port to listen on',
+      })
+      .option('host', {
+        type: 'string',
+        default: '127.0.0.1',
+        describe: 'Address to listen on (use 0.0.0.0 to allow other computers)',
+      })
+      .option('device', {
+        alias: 'd',
+        type: 'string',
+        describe: 'Device to use: alias, Bluetooth address or advertised name',
+      })
+      .option('timeout', {
+        alias: 't',
+        type: 'number',
+        default: 30000,
+        describe: 'Scan timeout in milliseconds',
+      })
+      .option('verbose', {
+        alias: 'v',
+        type: 'boolean',
+        default: false,
+        describe: 'Enable verbose logging',
+      }),
+  async ({port, host, device: selector, verbose, timeout}) => {
+    try {
+      if (verbose) {
+        setVerbose(true);
+      }
+      const {wacom, device} = await connectRegisteredDevice(timeout, selector);
+      const converter = new SVGConverter({orientation: config.getDevice(device.address)?.orientation});
 
-      if (!outputDir) {
-        if (savedConfig?.downloadDir) {
-          outputDir = path.resolve(savedConfig.downloadDir);
+      let server = null;
+      let page = null;
+      const interrupted = new Promise(resolve => process.once('SIGINT', resolve));
+      const {dimensions} = await wacom.startLiveMode(event => {
+        if (!server) {
+          return;
+        }
+        if (event.type === 'point') {
+          const {x, y, strokeWidth} = converter.toPagePoint(event, page);
+          server.broadcast({type: 'point', x, y, strokeWidth, timestamp: event.timestamp});
         } else {
-          outputDir = path.resolve(path.join(os.homedir(), 'wacom-notes'));
+          server.broadcast(event);
         }
-      } else {
+      });
+
+      // Same page size as an exported SVG of this device
+      page = converter.pageSize(new StrokeParser(dimensions || {}).pageDimensions());
+      server = new LiveServer({host, port, page: {width: page.svgWidth, height: page.svgHeight}});
+      const url = await server.start();
+      logger.success(`Live mode on. Open ${url} in a browser and draw on the tablet.`);
+      logger.note('Press Ctrl-C to stop.');
+
+      await interrupted;
+      logger.blank();
+      logger.info('Restoring paper mode...');
+      await server.close();
+      try {
+        await wacom.stopLiveMode();
+      } catch (error) {
+        logger.warn(`Could not restore paper mode: ${error.message}`);
+      }
+      await wacom.disconnect();
+      logger.success('Done!');
+      process.exit(0);
+    } catch (error) {
+      logger.error(`Error: ${error.message}`);
+      if (error.stack) {
+        logger.detail(error.stack);
       }
+      process.exit(exitCodeFor(error));
+    }
+  },
+);
 
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, {recursive: true});
-        logger.verbose(`Created output directory: ${outputDir}`);
+cli.command(
+  'purge',
+  'Delete notes from the device that are already archived locally',
+  y =>
+    y
+      .option('output', {
+        alias: 'o',
+        type: 'string',
+        describe: 'Directory holding the archived notes (default: the saved download directory)',
+      })
+      .option('device', {
+        alias: 'd',
+        type: 'string',
+        describe: 'Device to use: alias, Bluetooth address or advertised name',
+      })
+      .option('timeout', {
+        alias: 't',
+        type: 'number',
+        default: 30000,
+        describe: 'Scan timeout in milliseconds',
+      })
+      .option('verbose', {
+        alias: 'v',
+        type: 'boolean',
+        default: false,
+        describe: 'Enable verbose logging',
+      }),
+  async ({output, device: selector, verbose, timeout}) => {
+    try {
+      if (verbose) {
+        setVerbose(true);
       }
+      const {wacom, device} = await connectRegisteredDevice(timeout, selector);
+      const outputDir = resolveOutputDir(output, config.getDevice(device.address));
 
-      const orientation = savedConfig?.orientation || 'landscape';
-      // if (orientation === 'portrait') {
-      //   logger.info('Portrait orientation selected: rotating SVG output 90° clockwise.');
-      //  }
+      logger.info(`Checking device notes against the archive in ${outputDir}...`);
+      const {purged, remaining} = await wacom.purgeArchivedNotes(outputDir);
 
-      logger.info('Connecting and authenticating...');
+      await wacom.disconnect();
+      logger.success(`Deleted ${purged} archived note(s) from the device`);
+      if (remaining > 0) {
+        logger.note(`${remaining} note(s) left on the device`);
+      }
+      process.exit(0);
+    } catch (error) {
+      logger.error(`Error: ${error.message}`);
+      if (error.stack) {
+        logger.detail(error.stack);
+      }
+      process.exit(exitCodeFor(error));
+    }
+  },
+);
 
-      // Download all notes (they are saved immediately during download)
-      const notes = await wacom.downloadAllNotes(outputDir, {orientation});
+cli.command(
+  'status',
+  'Show note count, battery, firmware and clock of a registered device without downloading',
+  y =>
+    y
+      .option('device', {
+        alias: 'd',
+        type: 'string',
+        describe: 'Device to use: alias, Bluetooth address or advertised name',
+      })
+      .option('timeout', {
+        alias: 't',
+        type: 'number',
+        default: 30000,
+        describe: 'Scan timeout in milliseconds',
+      })
+      .option('verbose', {
+        alias: 'v',
+        type: 'boolean',
+        default: false,
+        describe: 'Enable verbose logging',
+      }),
+  async ({device: selector, verbose, timeout}) => {
+    try {
+      if (verbose) {
+        setVerbose(true);
+      }
+      const {wacom, device} = await connectRegisteredDevice(timeout, selector);
+      const status = await wacom.readStatus();
+      await wacom.disconnect();
 
+      const unknown = '(unknown)';
+      logger.blank();
+      logger.headline('Device status:');
+      logger.detail(`Name: ${status.name || device.name || unknown}`);
+      logger.detail(`Address: ${status.address}`);
+      logger.detail(`Protocol: ${status.protocol}`);
+      logger.detail(`Firmware: ${status.firmware || unknown}`);
+      if (status.battery) {
+        logger.detail(`Battery: ${status.battery.percent}%${status.battery.charging ? ' (charging)' : ''}`);
+      } else {
+        logger.detail(`Battery: ${unknown}`);
+      }
+      if (status.deviceTime) {
+        const drift = status.deviceTime - Math.floor(Date.now() / 1000);
+        logger.detail(`Device clock: ${new Date(status.deviceTime * 1000).toISOString()} (${drift >= 0 ? '+' : ''}${drift}s from this computer)`);
+      } else {
+        logger.detail(`Device clock: ${unknown}`);
+      }
+      logger.detail(`Notes on device: ${status.fileCount ?? unknown}`);
+      process.exit(0);
+    } catch (error) {
+      logger.error(`Error: ${error.message}`);
+      if (error.stack) {
+        logger.detail(error.stack);
+      }
+      process.exit(exitCodeFor(error));
+    }
+  },
+);
 
+cli.command(
+  'info',
+  'Show the name and firmware version of a registered device',
+  y =>
+    y
+      .option('device', {
+        alias: 'd',
+        type: 'string',
+        describe: 'Device to use: alias, Bluetooth address or advertised name',
+      })
+      .option('timeout', {
+        alias: 't',
+        type: 'number',
+        default: 30000,
+        describe: 'Scan timeout in milliseconds',
+      })
+      .option('verbose', {
+        alias: 'v',
+        type: 'boolean',
+        default: false,
+        describe: 'Enable verbose logging',
+      }),
+  async ({device: selector, verbose, timeout}) => {
+    try {
+      if (verbose) {
+        setVerbose(true);
+      }
+      const {wacom} = await connectRegisteredDevice(timeout, selector);
+      const info = await wacom.readInfo();
       await wacom.disconnect();
-      logger.success('Done!');
+
+      logger.blank();
+      logger.headline('Device info:');
+      logger.detail(`Name: ${info.name}`);
+      logger.detail(`Firmware: ${info.firmware}`);
+      logger.detail(`Address: ${info.address}`);
+      logger.detail(`UUID: ${info.uuid}`);
+      logger.detail(`Protocol: ${info.protocol}`);
       process.exit(0);
     } catch (error) {
       logger.error(`Error: ${error.message}`);
       if (error.stack) {
         logger.detail(error.stack);
       }
-      process.exit(1);
+      process.exit(exitCodeFor(error));
+    }
+  },
+);
+
+cli.command(
+  'set-name <name>',
+  'Rename a registered device (the name it advertises when scanning)',
+  y =>
+    y
+      .positional('name', {
+        type: 'string',
+        describe: 'New device name',
+      })
+      .option('device', {
+        alias: 'd',
+        type: 'string',
+        describe: 'Device to use: alias, Bluetooth address or advertised name',
+      })
+      .option('timeout', {
+        alias: 't',
+        type: 'number',
+        default: 30000,
+        describe: 'Scan timeout in milliseconds',
+      })
+      .option('verbose', {
+        alias: 'v',
+        type: 'boolean',
+        default: false,
+        describe: 'Enable verbose logging',
+      }),
+  async ({name, device: selector, verbose, timeout}) => {
+    try {
+      if (verbose) {
+        setVerbose(true);
+      }
+      const newName = String(name).trim();
+      if (!newName) {
+        logger.error('Device name cannot be empty');
+        process.exit(1);
+      }
+
+      const {wacom, device} = await connectRegisteredDevice(timeout, selector);
+      const storedName = await wacom.setName(newName);
+      await wacom.disconnect();
+
+      logger.success(`Renamed "${device.name}" to "${storedName}"`);
+      logger.note('The new name shows up in scans once the device reconnects.');
+      process.exit(0);
+    } catch (error) {
+      logger.error(`Error: ${error.message}`);
+      if (error.stack) {
+        logger.detail(error.stack);
+      }
+      process.exit(exitCodeFor(error));
     }
   },
 );
@@ -158,6 +888,11 @@ cli.command(
   'Register a new Wacom device',
   y =>
     y
+      .option('device', {
+        alias: 'd',
+        type: 'string',
+        describe: 'Device to use: alias, Bluetooth address or advertised name',
+      })
       .option('timeout', {
         alias: 't',
         type: 'number',
@@ -170,7 +905,8 @@ cli.command(
         default: false,
         describe: 'Enable verbose logging',
       }),
-  async ({verbose, timeout}) => {
+  async ({device: selector, verbose, timeout}) => {
+    let wacom = null;
     try {
       logger.headline('=== Wacom Device Registration ===');
       logger.blank();
@@ -185,10 +921,10 @@ cli.command(
       if (verbose) {
         logger.detail('Verbose mode enabled: showing all discovered BLE devices');
       }
-      const wacom = new WacomBLE(verbose);
+      wacom = createWacom();
       const timeoutMs = Number(timeout);
 
-      const device = await wacom.scanAndConnect(timeoutMs, true);
+      const device = await wacom.scanAndConnect(timeoutMs, true, {device: selector, chooseDevice});
       if (!device) {
         logger.error('No Wacom device found or connection failed');
         process.exit(1);
@@ -211,14 +947,18 @@ cli.command(
       logger.detail(`Address: ${device.address}`);
 
       // Register the device
+      const removeInterruptHandler = stopOnInterrupt(wacom);
       const registrationResult = await wacom.registerDevice();
+      removeInterruptHandler();
 
       await wacom.disconnect();
 
       const savedDevice = config.getDevice(registrationResult.address) || {};
       const preferences = await collectProfilePreferences({
+        address: registrationResult.address,
         downloadDir: savedDevice.downloadDir || path.resolve(path.join(os.homedir(), 'wacom-notes')),
         orientation: savedDevice.orientation || 'landscape',
+        alias: savedDevice.alias,
       });
       const updatedProfile = config.updateDevice(registrationResult.address, preferences);
 
@@ -226,14 +966,145 @@ cli.command(
       logger.success('Registration complete and preferences saved!');
       logger.detail(`Notes directory: ${updatedProfile.downloadDir}`);
       logger.detail(`Tablet orientation: ${updatedProfile.orientation}`);
+      if (updatedProfile.alias) {
+        logger.detail(`Alias: ${updatedProfile.alias}`);
+      }
       logger.note('You can now use "wacom-download download" to sync your notes.');
       process.exit(0);
     } catch (error) {
+      if (error instanceof InterruptedError) {
+        logger.blank();
+        logger.warn('Registration cancelled; the device was not registered.');
+        await wacom.disconnect();
+        process.exit(error.exitCode);
+      }
       logger.blank();
       logger.error(`Registration failed: ${error.message}`);
       if (error.stack) {
         logger.detail(error.stack);
       }
+      process.exit(exitCodeFor(error));
+    }
+  },
+);
+
+cli.command(
+  'render <files..>',
+  'Render raw note files (.raw) to SVG without a device',
+  y =>
+    y
+      .positional('files', {
+        type: 'string',
+        describe: 'Raw Smartpad files saved by download',
+      })
+      .option('output', {
+        alias: 'o',
+        type: 'string',
+        describe: 'Output directory for SVG files (default: next to each raw file)',
+      })
+      .option('orientation', {
+        type: 'string',
+        choices: ['landscape', 'portrait'],
+        describe: "Tablet orientation (default: the downloading device's saved orientation)",
+      })
+      .option('verbose', {
+        alias: 'v',
+        type: 'boolean',
+        default: false,
+        describe: 'Enable verbose logging',
+      }),
+  ({files, output, orientation, verbose}) => {
+    if (verbose) {
+      setVerbose(true);
+    }
+
+    let failed = 0;
+    for (const file of files) {
+      const rawFile = path.resolve(file);
+      try {
+        const data = fs.readFileSync(rawFile);
+
+        // The manifest next to the raw file knows the note timestamp and which device recorded it
+        const entry = new NoteStore(path.dirname(rawFile)).findEntry(NoteStore.hash(data));
+        const savedConfig = entry?.address ? config.getDevice(entry.address) : null;
+        const noteOrientation = orientation || savedConfig?.orientation || 'landscape';
+        if (entry) {
+          logger.verbose(`${path.basename(rawFile)}: manifest entry from ${entry.address || 'unknown device'}, timestamp ${entry.timestamp || 'N/A'}`);
+        } else {
+          logger.verbose(`${path.basename(rawFile)}: no manifest entry found`);
+        }
+
+        const dimensions = entry?.dimensions || savedConfig?.dimensions || null;
+        const renderer = new NoteRenderer({orientation: noteOrientation, dimensions});
+        const {drawing, svg} = renderer.render(data, entry?.timestamp || undefined);
+
+        const store = new NoteStore(output ? path.resolve(output) : path.dirname(rawFile));
+        const filename = store.saveSvg(path.basename(rawFile, path.extname(rawFile)), svg);
+        logger.success(`${path.basename(rawFile)} -> ${filename} (${drawing.strokes.length} stroke(s))`);
+      } catch (error) {
+        failed++;
+        logger.error(`${file}: ${error.message}`);
+      }
+    }
+
+    if (failed > 0) {
+      logger.warn(`${failed} of ${files.length} file(s) could not be rendered`);
+      process.exit(1);
+    }
+    process.exit(0);
+  },
+);
+
+cli.command(
+  'scan',
+  'List nearby Wacom devices with their mode and signal strength, without connecting',
+  y =>
+    y
+      .option('timeout', {
+        alias: 't',
+        type: 'number',
+        default: 15000,
+        describe: 'How long to scan in milliseconds',
+      })
+      .option('verbose', {
+        alias: 'v',
+        type: 'boolean',
+        default: false,
+        describe: 'Enable verbose logging',
+      }),
+  async ({verbose, timeout}) => {
+    try {
+      if (verbose) {
+        setVerbose(true);
+      }
+      logger.info(`Scanning for Wacom devices for ${Math.round(Number(timeout) / 1000)}s...`);
+      logger.blank();
+
+      const wacom = createWacom();
+      const table = logger.startLiveTable(['NAME', 'ADDRESS', 'RSSI', 'STATUS', 'MODE', 'MATCHED']);
+      const toRows = devices =>
+        devices.map(device => [
+          wacom.describeDevice(device),
+          device.address,
+          device.rssi ?? '?',
+          device.registered ? 'registered' : 'unregistered',
+          device.mode,
+          device.pattern,
+        ]);
+
+      const devices = await wacom.scanDevices(Number(timeout), {onUpdate: found => table.update(toRows(found))});
+      table.done();
+
+      logger.blank();
+      if (devices.length === 0) {
+        logger.warn('No Wacom devices found.');
+        logger.detail('Press the device button briefly to wake it up, or hold it for 6+ seconds to enter registration mode.');
+      } else {
+        logger.success(`${devices.length} Wacom device(s) seen`);
+      }
+      process.exit(0);
+    } catch (error) {
+      logger.error(`Error: ${error.message}`);
       process.exit(1);
     }
   },
@@ -257,16 +1128,55 @@ cli.command(
     addresses.forEach(address => {
       const device = devices[address];
       logger.detail(`Address: ${device.address}`);
+      logger.detail(`Alias: ${device.alias || '(not set)'}`);
       logger.detail(`UUID: ${device.uuid}`);
       logger.detail(`Protocol: ${device.protocol}`);
       logger.detail(`Registered: ${device.registeredAt}`);
       logger.detail(`Notes directory: ${device.downloadDir || '(not set)'}`);
       logger.detail(`Orientation: ${device.orientation}`);
+      if (device.dimensions) {
+        logger.detail(`Tablet size: ${device.dimensions.width}x${device.dimensions.height} units`);
+      }
       logger.blank();
     });
   },
 );
 
+cli.command(
+  'alias <address> [alias]',
+  'Set (or clear, when omitted) the alias of a registered device',
+  y =>
+    y
+      .positional('address', {
+        type: 'string',
+        describe: 'Bluetooth address of the device',
+      })
+      .positional('alias', {
+        type: 'string',
+        describe: 'Alias usable instead of the address with --device',
+      }),
+  ({address, alias}) => {
+    try {
+      if (!config.isValidAddress(address)) {
+        logger.error(`Invalid Bluetooth address format: ${address}`);
+        logger.detail('Expected format: XX:XX:XX:XX:XX:XX or XX-XX-XX-XX-XX-XX');
+        process.exit(1);
+      }
+
+      const device = config.updateDevice(address, {alias: alias || null});
+      if (device.alias) {
+        logger.success(`Device ${device.address} can now be selected with --device ${device.alias}`);
+      } else {
+        logger.success(`Alias cleared for device ${device.address}`);
+      }
+      process.exit(0);
+    } catch (error) {
+      logger.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  },
+);
+
 cli.command(
   'deregister <address>',
   'Deregister a Wacom device by its Bluetooth address',
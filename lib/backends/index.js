@@ -0,0 +1,48 @@
+// BLE backends
+//
+// WacomBLE talks to Bluetooth only through a backend, so the tool is not tied to
+// one platform's BLE stack. A backend is an EventEmitter with:
+//   init(timeout)                  resolves once the adapter is powered on
+//   startScanning({allowDuplicates})
+//   stopScanning()
+//   connect(device, {timeout})     resolves with a connection
+// and emits 'discover' with {id, address, name, manufacturerData, rssi} and
+// 'stateChange' with the adapter state ('poweredOn', 'poweredOff', ...).
+//
+// A connection is an EventEmitter with:
+//   discover()                     resolves with the characteristic UUIDs
+//   write(uuid, data)
+//   subscribe(uuid, onData)
+//   disconnect()
+// and emits 'disconnect' when the link drops.
+import NobleBackend from './noble-backend.js';
+import SimulatedBackend from './simulated-backend.js';
+import ReplayBackend from './replay-backend.js';
+import TracingBackend from './tracing-backend.js';
+
+const BACKENDS = {
+  mac: () => new NobleBackend('noble-mac'),
+  bluez: () => new NobleBackend('@abandonware/noble'),
+  simulate: options => new SimulatedBackend(options),
+  replay: options => new ReplayBackend(options),
+};
+
+const BACKEND_NAMES = ['auto', ...Object.keys(BACKENDS)];
+
+function defaultBackendName() {
+  return process.platform === 'darwin' ? 'mac' : 'bluez';
+}
+
+// options are passed to the backend (e.g. {model} for the simulator);
+// options.trace is a TraceRecorder that records everything the backend does
+function createBackend(name = 'auto', options = {}) {
+  const resolved = name === 'auto' ? defaultBackendName() : name;
+  const factory = BACKENDS[resolved];
+  if (!factory) {
+    throw new Error(`Unknown BLE backend: ${name} (expected one of ${BACKEND_NAMES.join(', ')})`);
+  }
+  const backend = factory(options);
+  return options.trace ? new TracingBackend(backend, options.trace) : backend;
+}
+
+export {BACKEND_NAMES, createBackend};
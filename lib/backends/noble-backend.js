@@ -0,0 +1,219 @@
+// BLE backend on top of the noble API
+// noble-mac on macOS, @abandonware/noble (BlueZ over HCI) on Linux. The module
+// is only imported when the backend is first used, so the other one does not
+// have to be installed.
+import {EventEmitter} from 'node:events';
+import {TimeoutError} from '../errors.js';
+
+const FAILED_STATES = {
+  poweredOff: 'Bluetooth is powered off',
+  unauthorized: 'Bluetooth access is not authorized for this application',
+  unsupported: 'Bluetooth Low Energy is not supported on this computer',
+};
+
+class NobleConnection extends EventEmitter {
+  constructor(peripheral) {
+    super();
+    this.peripheral = peripheral;
+    this.characteristics = new Map();
+  }
+
+  async open(timeout) {
+    const peripheral = this.peripheral;
+
+    await new Promise((resolve, reject) => {
+      let connectionTimeout;
+      let resolved = false;
+
+      const cleanup = () => {
+        if (connectionTimeout) clearTimeout(connectionTimeout);
+        resolved = true;
+      };
+
+      peripheral.once('connect', () => {
+        if (resolved) return;
+        cleanup();
+        resolve();
+      });
+
+      // Add timeout for connection
+      connectionTimeout = setTimeout(() => {
+        if (!resolved && peripheral.state !== 'connected') {
+          cleanup();
+          peripheral.removeAllListeners('connect');
+          reject(new TimeoutError('Connection timeout - device may need a button press to wake up. Try pressing the button briefly, then run again.'));
+        }
+      }, timeout);
+
+      peripheral.connect(error => {
+        if (error && !resolved) {
+          cleanup();
+          reject(error);
+        }
+      });
+    });
+
+    peripheral.once('disconnect', () => this.emit('disconnect'));
+  }
+
+  // Returns the UUIDs (lowercase, no dashes) of every characteristic
+  async discover() {
+    const characteristics = await new Promise((resolve, reject) => {
+      this.peripheral.discoverAllServicesAndCharacteristics((error, services, found) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(found);
+        }
+      });
+    });
+
+    for (const characteristic of characteristics) {
+      this.characteristics.set(characteristic.uuid.toLowerCase(), characteristic);
+    }
+    return Array.from(this.characteristics.keys());
+  }
+
+  getCharacteristic(uuid) {
+    const characteristic = this.characteristics.get(uuid);
+    if (!characteristic) {
+      throw new Error(`Characteristic ${uuid} not found`);
+    }
+    return characteristic;
+  }
+
+  async write(uuid, data) {
+    const characteristic = this.getCharacteristic(uuid);
+    return new Promise((resolve, reject) => {
+      characteristic.write(Buffer.from(data), false, error => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async subscribe(uuid, onData) {
+    const characteristic = this.getCharacteristic(uuid);
+    characteristic.on('data', data => onData(Buffer.from(data)));
+    return new Promise((resolve, reject) => {
+      characteristic.subscribe(error => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async disconnect() {
+    // Wait for the link to drop so the next device can be connected right away
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, 2000);
+      this.peripheral.disconnect(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  }
+}
+
+class NobleBackend extends EventEmitter {
+  constructor(moduleName) {
+    super();
+    this.name = moduleName;
+    this.noble = null;
+    this.ready = null;
+  }
+
+  // Load the module and wait for the adapter to power on
+  init(timeout = 30000) {
+    if (!this.ready) {
+      this.ready = this.load(timeout);
+      // Allow another attempt, e.g. after Bluetooth is switched on
+      this.ready.catch(() => {
+        this.ready = null;
+      });
+    }
+    return this.ready;
+  }
+
+  async load(timeout) {
+    if (!this.noble) {
+      let module;
+      try {
+        module = await import(this.name);
+      } catch (error) {
+        throw new Error(`BLE backend "${this.name}" is not available: ${error.message}`);
+      }
+      this.noble = module.default || module;
+      this.noble.on('discover', peripheral => this.emit('discover', this.toDevice(peripheral)));
+      this.noble.on('stateChange', state => this.emit('stateChange', state));
+    }
+
+    const noble = this.noble;
+    await new Promise((resolve, reject) => {
+      let timer = null;
+      const done = () => {
+        clearTimeout(timer);
+        noble.removeListener('stateChange', check);
+      };
+      const check = state => {
+        if (state === 'poweredOn') {
+          done();
+          resolve();
+        } else if (FAILED_STATES[state]) {
+          done();
+          reject(new Error(FAILED_STATES[state]));
+        }
+      };
+
+      timer = setTimeout(() => {
+        done();
+        reject(new Error('Bluetooth adapter did not become ready'));
+      }, timeout);
+      noble.on('stateChange', check);
+      check(noble.state);
+    });
+  }
+
+  get state() {
+    return this.noble ? this.noble.state : 'unknown';
+  }
+
+  toDevice(peripheral) {
+    const advertisement = peripheral.advertisement || {};
+    return {
+      id: peripheral.uuid,
+      // On macOS, noble-mac uses UUID as identifier (MAC address not available)
+      address: peripheral.uuid || peripheral.address,
+      name: advertisement.localName || '',
+      manufacturerData: advertisement.manufacturerData ? Buffer.from(advertisement.manufacturerData) : null,
+      rssi: peripheral.rssi ?? null,
+      peripheral,
+    };
+  }
+
+  startScanning(options = {}) {
+    this.noble.startScanning([], Boolean(options.allowDuplicates));
+  }
+
+  async stopScanning() {
+    try {
+      await this.noble.stopScanning();
+    } catch (e) {
+      // Ignore errors stopping scan
+    }
+  }
+
+  async connect(device, options = {}) {
+    const connection = new NobleConnection(device.peripheral);
+    await connection.open(options.timeout ?? 15000);
+    return connection;
+  }
+}
+
+export default NobleBackend;
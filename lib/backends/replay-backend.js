@@ -0,0 +1,202 @@
+// Backend that replays a recorded trace (see trace.js)
+// Each connection in the trace becomes one replayable device. Writes are matched
+// against the recorded ones in order; after each write the notifications that
+// followed it are delivered with their original timing, so a failure in the
+// reply handling or the parser reproduces exactly as it happened.
+import {EventEmitter} from 'node:events';
+import TraceRecorder from '../trace.js';
+import config from '../config.js';
+import logger from '../logger.js';
+import {DisconnectedError} from '../errors.js';
+
+// Advertisements repeat at this interval while scanning with duplicates
+const ADVERTISE_INTERVAL = 1000;
+// Set-time commands carry the current clock, so only their opcode is compared
+const TIME_DEPENDENT_OPCODES = [0xb6, 0xd6];
+
+class ReplayConnection extends EventEmitter {
+  constructor(session, speed) {
+    super();
+    this.session = session;
+    this.speed = speed;
+    this.records = session.records;
+    this.cursor = 0;
+    this.subscriptions = new Map();
+    this.timers = new Set();
+    this.connected = true;
+  }
+
+  open() {
+    // Deliver anything the device sent before the first write
+    this.playUntilWrite(this.session.connect.t);
+  }
+
+  async discover() {
+    return this.session.characteristics;
+  }
+
+  async subscribe(uuid, onData) {
+    this.subscriptions.set(uuid, onData);
+  }
+
+  async write(uuid, data) {
+    if (!this.connected) {
+      throw new DisconnectedError('Device disconnected');
+    }
+
+    const hex = Buffer.from(data).toString('hex');
+    const index = this.records.findIndex((record, i) => i >= this.cursor && record.type === 'write');
+    if (index === -1) {
+      logger.warn(`Replay: write ${hex} after the end of the recorded session`);
+      return;
+    }
+
+    const expected = this.records[index];
+    const opcode = Buffer.from(data)[0];
+    const matches = TIME_DEPENDENT_OPCODES.includes(opcode) ? expected.data.slice(0, 2) === hex.slice(0, 2) : expected.data === hex;
+    if (!matches || expected.char !== uuid) {
+      logger.warn(`Replay: trace diverged at ${expected.t}ms - recorded write ${expected.data}, got ${hex}`);
+    } else {
+      logger.verbose(`Replay: write ${hex} matches the trace at ${expected.t}ms`);
+    }
+    this.cursor = index + 1;
+    this.playUntilWrite(expected.t);
+  }
+
+  // Schedule the recorded notifications up to the next write, relative to `since`
+  playUntilWrite(since) {
+    while (this.cursor < this.records.length && this.records[this.cursor].type !== 'write') {
+      const record = this.records[this.cursor++];
+      if (record.type !== 'notify' && record.type !== 'disconnect') {
+        continue;
+      }
+
+      const timer = setTimeout(
+        () => {
+          this.timers.delete(timer);
+          if (!this.connected) return;
+          if (record.type === 'disconnect') {
+            this.drop();
+            return;
+          }
+          const onData = this.subscriptions.get(record.char);
+          if (onData) onData(Buffer.from(record.data, 'hex'));
+        },
+        Math.max(0, record.t - since) / this.speed,
+      );
+      this.timers.add(timer);
+    }
+  }
+
+  drop() {
+    this.connected = false;
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.emit('disconnect');
+  }
+
+  async disconnect() {
+    if (this.connected) {
+      this.drop();
+    }
+  }
+}
+
+class ReplayBackend extends EventEmitter {
+  // options.file: trace to replay
+  // options.speed: playback speed factor (2 replays twice as fast)
+  constructor(options = {}) {
+    super();
+    if (!options.file) {
+      throw new Error('The replay backend needs a trace file (--replay-trace <file>)');
+    }
+    this.speed = options.speed || 1;
+    this.sessions = ReplayBackend.splitSessions(TraceRecorder.read(options.file));
+    if (this.sessions.length === 0) {
+      throw new Error(`Trace ${options.file} does not contain any device connection`);
+    }
+    this.state = 'poweredOn';
+    this.timer = null;
+
+    // Make recorded registrations known so authentication proceeds as it did
+    for (const {connect} of this.sessions) {
+      if (connect.registration) {
+        config.addTemporaryDevice({address: connect.address, ...connect.registration});
+      }
+    }
+  }
+
+  // One session per 'connect' record, holding the records up to the next one
+  static splitSessions(records) {
+    const sessions = [];
+    let current = null;
+    for (const record of records) {
+      if (record.type === 'connect') {
+        current = {connect: record, characteristics: [], records: [], used: false, error: null};
+        sessions.push(current);
+      } else if (current && record.type === 'characteristics') {
+        current.characteristics = record.uuids;
+      } else if (current && record.type === 'connect-error') {
+        current.error = record.message;
+      } else if (current) {
+        current.records.push(record);
+      }
+    }
+    return sessions;
+  }
+
+  async init() {}
+
+  devices() {
+    const seen = new Map();
+    for (const {connect} of this.sessions) {
+      if (!seen.has(connect.address)) {
+        seen.set(connect.address, {
+          id: connect.address,
+          address: connect.address,
+          name: connect.name || '',
+          manufacturerData: connect.manufacturerData ? Buffer.from(connect.manufacturerData, 'hex') : null,
+          rssi: connect.rssi ?? null,
+        });
+      }
+    }
+    return Array.from(seen.values());
+  }
+
+  startScanning(options = {}) {
+    this.stopScanning();
+    const advertise = () => {
+      for (const device of this.devices()) {
+        this.emit('discover', device);
+      }
+    };
+    setImmediate(advertise);
+    if (options.allowDuplicates) {
+      this.timer = setInterval(advertise, ADVERTISE_INTERVAL);
+    }
+  }
+
+  async stopScanning() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async connect(device) {
+    const session = this.sessions.find(candidate => !candidate.used && candidate.connect.address === device.address);
+    if (!session) {
+      throw new Error(`The trace has no further connection to ${device.address}`);
+    }
+    session.used = true;
+    if (session.error) {
+      throw new Error(session.error);
+    }
+
+    const connection = new ReplayConnection(session, this.speed);
+    connection.open();
+    return connection;
+  }
+}
+
+export default ReplayBackend;
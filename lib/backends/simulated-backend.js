@@ -0,0 +1,120 @@
+// BLE backend backed by a DeviceSimulator instead of a radio
+// The simulated device advertises, connects and notifies like a real one, so the
+// whole download and registration flow can run on machines without Bluetooth.
+import {EventEmitter} from 'node:events';
+import DeviceSimulator from '../device-simulator.js';
+import config from '../config.js';
+import {DisconnectedError} from '../errors.js';
+
+// Advertisements repeat at this interval while scanning with duplicates
+const ADVERTISE_INTERVAL = 1000;
+
+class SimulatedConnection extends EventEmitter {
+  constructor(simulator) {
+    super();
+    this.simulator = simulator;
+    this.subscriptions = new Map();
+    this.onNotify = (uuid, data) => {
+      const onData = this.subscriptions.get(uuid);
+      if (onData) onData(data);
+    };
+    // The simulated device dropped the link
+    this.onDrop = () => {
+      this.close();
+      this.emit('disconnect');
+    };
+  }
+
+  open() {
+    this.simulator.connect();
+    this.simulator.on('notify', this.onNotify);
+    this.simulator.on('disconnect', this.onDrop);
+  }
+
+  close() {
+    this.simulator.removeListener('notify', this.onNotify);
+    this.simulator.removeListener('disconnect', this.onDrop);
+  }
+
+  async discover() {
+    return this.simulator.characteristics;
+  }
+
+  async write(uuid, data) {
+    if (!this.simulator.connected) {
+      throw new DisconnectedError('Device disconnected');
+    }
+    this.simulator.write(data);
+  }
+
+  async subscribe(uuid, onData) {
+    if (!this.simulator.characteristics.includes(uuid)) {
+      throw new Error(`Characteristic ${uuid} not found`);
+    }
+    this.subscriptions.set(uuid, onData);
+  }
+
+  async disconnect() {
+    if (!this.simulator.connected) {
+      return;
+    }
+    this.close();
+    this.simulator.disconnect();
+    this.emit('disconnect');
+  }
+}
+
+class SimulatedBackend extends EventEmitter {
+  // options are passed to DeviceSimulator. Unless options.uuid is given, the
+  // simulated device remembers the UUID saved when it was registered, so
+  // `register --simulate` followed by `download --simulate` works as with a
+  // real device.
+  constructor(options = {}) {
+    super();
+    const model = options.model || 'slate';
+    const address = DeviceSimulator.addressFor(model);
+    const uuid = 'uuid' in options ? options.uuid : config.getDevice(address)?.uuid || null;
+    this.simulator = new DeviceSimulator({...options, model, uuid});
+    this.state = 'poweredOn';
+    this.timer = null;
+  }
+
+  async init() {}
+
+  toDevice() {
+    const simulator = this.simulator;
+    return {
+      id: simulator.address,
+      address: simulator.address,
+      name: simulator.name,
+      manufacturerData: simulator.manufacturerData,
+      rssi: -40,
+    };
+  }
+
+  startScanning(options = {}) {
+    this.stopScanning();
+    const advertise = () => {
+      if (!this.simulator.connected) {
+        this.emit('discover', this.toDevice());
+      }
+    };
+    setImmediate(advertise);
+    if (options.allowDuplicates) {
+      this.timer = setInterval(advertise, ADVERTISE_INTERVAL);
+    }
+  }
+
+  async stopScanning() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async connect(device) {
+    const connection = new SimulatedConnection(this.simulator);
+    connection.open();
+    return connection;
+  }
+}
+
+export default SimulatedBackend;
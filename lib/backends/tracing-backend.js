@@ -0,0 +1,95 @@
+// Backend wrapper that records every connection, write and notification of the
+// wrapped backend to a TraceRecorder (see trace.js)
+import {EventEmitter} from 'node:events';
+import {characteristicName} from '../characteristics.js';
+import config from '../config.js';
+
+class TracingConnection extends EventEmitter {
+  constructor(connection, recorder) {
+    super();
+    this.connection = connection;
+    this.recorder = recorder;
+    this.closed = false;
+    connection.on('disconnect', () => {
+      if (!this.closed) {
+        this.recorder.record('disconnect');
+      }
+      this.emit('disconnect');
+    });
+  }
+
+  async discover() {
+    const uuids = await this.connection.discover();
+    this.recorder.record('characteristics', {uuids});
+    return uuids;
+  }
+
+  async write(uuid, data) {
+    this.recorder.record('write', {channel: characteristicName(uuid), char: uuid, data: Buffer.from(data).toString('hex')});
+    return this.connection.write(uuid, data);
+  }
+
+  async subscribe(uuid, onData) {
+    return this.connection.subscribe(uuid, data => {
+      this.recorder.record('notify', {channel: characteristicName(uuid), char: uuid, data: Buffer.from(data).toString('hex')});
+      onData(data);
+    });
+  }
+
+  async disconnect() {
+    this.closed = true;
+    this.recorder.record('close');
+    return this.connection.disconnect();
+  }
+}
+
+class TracingBackend extends EventEmitter {
+  constructor(backend, recorder) {
+    super();
+    this.backend = backend;
+    this.recorder = recorder;
+    backend.on('discover', device => this.emit('discover', device));
+    backend.on('stateChange', state => this.emit('stateChange', state));
+  }
+
+  get state() {
+    return this.backend.state;
+  }
+
+  init(timeout) {
+    return this.backend.init(timeout);
+  }
+
+  startScanning(options) {
+    return this.backend.startScanning(options);
+  }
+
+  stopScanning() {
+    return this.backend.stopScanning();
+  }
+
+  async connect(device, options) {
+    // The registration lets the trace be replayed on a machine that never registered
+    // this device. The download directory is left out, it is only meaningful here.
+    const saved = config.getDevice(device.address);
+    const registration = saved ? {uuid: saved.uuid, protocol: saved.protocol, orientation: saved.orientation, dimensions: saved.dimensions} : null;
+    this.recorder.record('connect', {
+      address: device.address,
+      name: device.name,
+      manufacturerData: device.manufacturerData ? device.manufacturerData.toString('hex') : null,
+      rssi: device.rssi,
+      registration,
+    });
+
+    let connection;
+    try {
+      connection = await this.backend.connect(device, options);
+    } catch (error) {
+      this.recorder.record('connect-error', {message: error.message});
+      throw error;
+    }
+    return new TracingConnection(connection, this.recorder);
+  }
+}
+
+export default TracingBackend;
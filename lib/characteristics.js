@@ -0,0 +1,28 @@
+// GATT characteristics of Wacom Smartpad devices (UUIDs lowercase, no dashes)
+const CHARACTERISTIC_COMMAND_NOTIFY = '6e400003b5a3f393e0a9e50e24dcca9e';
+const CHARACTERISTIC_COMMAND_WRITE = '6e400002b5a3f393e0a9e50e24dcca9e';
+const CHARACTERISTIC_FILE_TRANSFER_NOTIFY = 'ffee0003bbaa99887766554433221100';
+const CHARACTERISTIC_EVENTS_NOTIFY = '3a340721c57211e586c50002a5d5c51b';
+const CHARACTERISTIC_LIVE_PEN_NOTIFY = '000015241212efde1523785feabcd123';
+
+const CHARACTERISTIC_NAMES = {
+  [CHARACTERISTIC_COMMAND_NOTIFY]: 'command',
+  [CHARACTERISTIC_COMMAND_WRITE]: 'command',
+  [CHARACTERISTIC_FILE_TRANSFER_NOTIFY]: 'file-transfer',
+  [CHARACTERISTIC_EVENTS_NOTIFY]: 'events',
+  [CHARACTERISTIC_LIVE_PEN_NOTIFY]: 'live-pen',
+};
+
+// Short name for logs and traces, or the UUID itself for unknown characteristics
+function characteristicName(uuid) {
+  return CHARACTERISTIC_NAMES[uuid] || uuid;
+}
+
+export {
+  CHARACTERISTIC_COMMAND_NOTIFY,
+  CHARACTERISTIC_COMMAND_WRITE,
+  CHARACTERISTIC_FILE_TRANSFER_NOTIFY,
+  CHARACTERISTIC_EVENTS_NOTIFY,
+  CHARACTERISTIC_LIVE_PEN_NOTIFY,
+  characteristicName,
+};
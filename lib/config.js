@@ -12,6 +12,8 @@ class Config {
     this.configDir = path.join(os.homedir(), '.wacom-downloader');
     this.configFile = path.join(this.configDir, 'devices.json');
     this.devices = {};
+    // Addresses of devices known for this run only (see addTemporaryDevice)
+    this.temporary = new Set();
     this.load();
   }
 
@@ -47,8 +49,9 @@ class Config {
       fs.mkdirSync(this.configDir, { recursive: true });
     }
 
+    const devices = Object.fromEntries(Object.entries(this.devices).filter(([address]) => !this.temporary.has(address)));
     try {
-      fs.writeFileSync(this.configFile, JSON.stringify(this.devices, null, 2));
+      fs.writeFileSync(this.configFile, JSON.stringify(devices, null, 2));
     } catch (error) {
       logger.error(`Failed to save config: ${error.message}`);
       throw error;
@@ -68,6 +71,19 @@ class Config {
     return this.devices[normalizedAddress];
   }
 
+  // Look up a registered device by alias (case-insensitive) or address
+  findDevice(query) {
+    if (!query) {
+      return null;
+    }
+    const wanted = query.trim().toLowerCase();
+    const byAlias = Object.values(this.devices).find(device => device.alias && device.alias.toLowerCase() === wanted);
+    if (byAlias) {
+      return byAlias;
+    }
+    return this.isValidAddress(query) ? this.getDevice(query) : null;
+  }
+
   registerDevice(address, uuid, protocol, profile = {}) {
     const normalizedAddress = this.normalizeAddress(address);
     if (!this.isValidAddress(normalizedAddress)) {
@@ -77,18 +93,38 @@ class Config {
       throw new Error(`Invalid UUID: ${uuid} (must be 12 hex characters)`);
     }
 
+    this.temporary.delete(normalizedAddress);
     this.devices[normalizedAddress] = {
       address: normalizedAddress,
       uuid: uuid,
       protocol: protocol,
       registeredAt: new Date().toISOString(),
       downloadDir: profile.downloadDir || null,
-      orientation: this.normalizeOrientation(profile.orientation)
+      orientation: this.normalizeOrientation(profile.orientation),
+      dimensions: this.normalizeDimensions(profile.dimensions),
+      alias: this.validateAlias(normalizedAddress, profile.alias)
     };
     this.save();
     return this.devices[normalizedAddress];
   }
 
+  // Make a device known for this run only, without writing it to devices.json.
+  // Used for the device in a replayed trace; a real registration takes precedence.
+  addTemporaryDevice(record) {
+    const normalizedAddress = this.normalizeAddress(record.address);
+    if (this.devices[normalizedAddress] && !this.temporary.has(normalizedAddress)) {
+      return this.devices[normalizedAddress];
+    }
+
+    this.devices[normalizedAddress] = {
+      ...record,
+      address: normalizedAddress
+    };
+    this.temporary.add(normalizedAddress);
+    this.applyDeviceDefaults(normalizedAddress);
+    return this.devices[normalizedAddress];
+  }
+
   updateDevice(address, updates = {}) {
     const normalizedAddress = this.normalizeAddress(address);
     const existing = this.devices[normalizedAddress];
@@ -104,6 +140,14 @@ class Config {
       next.downloadDir = updates.downloadDir || null;
     }
 
+    if (Object.prototype.hasOwnProperty.call(updates, 'alias')) {
+      next.alias = this.validateAlias(normalizedAddress, updates.alias);
+    }
+
+    if (Object.prototype.hasOwnProperty.call(updates, 'dimensions')) {
+      next.dimensions = this.normalizeDimensions(updates.dimensions);
+    }
+
     if (Object.prototype.hasOwnProperty.call(updates, 'orientation')) {
       next.orientation = this.normalizeOrientation(updates.orientation);
     } else {
@@ -170,6 +214,35 @@ class Config {
     return value && value.toLowerCase() === 'portrait' ? 'portrait' : DEFAULT_ORIENTATION;
   }
 
+  // Aliases are short names usable instead of the address; they must be unique
+  // and must not look like an address themselves
+  validateAlias(address, alias) {
+    const trimmed = typeof alias === 'string' ? alias.trim() : '';
+    if (trimmed === '') {
+      return null;
+    }
+    if (this.isValidAddress(trimmed)) {
+      throw new Error(`Invalid alias: ${trimmed} (looks like a Bluetooth address)`);
+    }
+    const owner = this.findDevice(trimmed);
+    if (owner && owner.address !== address) {
+      throw new Error(`Alias "${trimmed}" is already used by ${owner.address}`);
+    }
+    return trimmed;
+  }
+
+  // Tablet size in device units and micrometers per unit, as queried from the device
+  normalizeDimensions(value) {
+    if (!value || !(value.width > 0) || !(value.height > 0)) {
+      return null;
+    }
+    return {
+      width: value.width,
+      height: value.height,
+      pointSize: value.pointSize > 0 ? value.pointSize : null
+    };
+  }
+
   applyDeviceDefaults(address) {
     const device = this.devices[address];
     if (!device) {
@@ -182,6 +255,10 @@ class Config {
     if (typeof device.downloadDir !== 'string' || device.downloadDir.trim() === '') {
       device.downloadDir = null;
     }
+    device.dimensions = this.normalizeDimensions(device.dimensions);
+    if (typeof device.alias !== 'string' || device.alias.trim() === '') {
+      device.alias = null;
+    }
   }
 }
 
@@ -0,0 +1,497 @@
+// Simulated Wacom device
+// Answers the commands WacomProtocol sends the way a Spark, Slate or Intuos Pro
+// does (following tuhi), and serves real Smartpad files built from sample or
+// scripted strokes. The simulated backend exposes it over the same characteristics
+// as a real device, so downloads and registration run unchanged without Bluetooth.
+//
+// Emits 'notify' (characteristicUuid, data) for every notification it sends.
+import {EventEmitter} from 'node:events';
+import {
+  CHARACTERISTIC_COMMAND_NOTIFY,
+  CHARACTERISTIC_COMMAND_WRITE,
+  CHARACTERISTIC_FILE_TRANSFER_NOTIFY,
+  CHARACTERISTIC_EVENTS_NOTIFY,
+  CHARACTERISTIC_LIVE_PEN_NOTIFY,
+} from './characteristics.js';
+
+// Smartpad file magics, as read by StrokeParser
+const MAGIC_ID_SPARK = 0x74623862; // 'b8bt'
+const MAGIC_ID_INTUOS = 0x65698267; // 'gieb'
+
+// General reply (0xb3) codes
+const REPLY_OK = 0x00;
+const REPLY_GENERAL_ERROR = 0x01;
+const REPLY_INVALID_STATE = 0x02;
+
+// Bytes per file transfer notification, as with the default BLE MTU
+const CHUNK_SIZE = 20;
+
+const MODELS = {
+  spark: {
+    name: 'Bamboo Spark',
+    address: 'C0:FF:EE:00:00:01',
+    advertisement: 'UG-CLR',
+    protocol: 'SPARK',
+    format: 'b8bt',
+    dimensions: null,
+    firmware: [[0x01, 0x02], [0x03, 0x04]],
+    characteristics: [CHARACTERISTIC_COMMAND_WRITE, CHARACTERISTIC_COMMAND_NOTIFY, CHARACTERISTIC_FILE_TRANSFER_NOTIFY],
+  },
+  slate: {
+    name: 'Bamboo Slate',
+    address: 'C0:FF:EE:00:00:02',
+    advertisement: 'UG-CAT',
+    protocol: 'SLATE',
+    format: 'b8bt',
+    dimensions: {width: 21600, height: 14800, pointSize: null},
+    firmware: [[0x04, 0x15], [0x06, 0x01]],
+    characteristics: [
+      CHARACTERISTIC_COMMAND_WRITE,
+      CHARACTERISTIC_COMMAND_NOTIFY,
+      CHARACTERISTIC_FILE_TRANSFER_NOTIFY,
+      CHARACTERISTIC_EVENTS_NOTIFY,
+      CHARACTERISTIC_LIVE_PEN_NOTIFY,
+    ],
+  },
+  'intuos-pro': {
+    name: 'Intuos Pro Paper',
+    address: 'C0:FF:EE:00:00:03',
+    advertisement: 'WA-VIP',
+    protocol: 'INTUOS_PRO',
+    format: 'gieb',
+    dimensions: {width: 44800, height: 29600, pointSize: 5},
+    firmware: [[0x12, 0x34], [0x56, 0x78]],
+    characteristics: [
+      CHARACTERISTIC_COMMAND_WRITE,
+      CHARACTERISTIC_COMMAND_NOTIFY,
+      CHARACTERISTIC_FILE_TRANSFER_NOTIFY,
+      CHARACTERISTIC_EVENTS_NOTIFY,
+      CHARACTERISTIC_LIVE_PEN_NOTIFY,
+    ],
+  },
+};
+
+const MODEL_NAMES = Object.keys(MODELS);
+
+class DeviceSimulator extends EventEmitter {
+  // options.model: 'spark', 'slate' or 'intuos-pro'
+  // options.uuid: registered UUID (12 hex characters), or null for a device in
+  //   registration mode
+  // options.notes: number of sample notes to start with, or an array of stroke
+  //   lists ([[{x, y, p}, ...], ...]) in device units
+  // options.latency: ms between notifications
+  // options.buttonDelay: ms before the simulated user presses the button when
+  //   asked to during registration, or null to wait for pressButton()
+  constructor(options = {}) {
+    super();
+    const {model = 'slate', uuid = null, notes = 3, latency = 2, buttonDelay = 1000} = options;
+    if (!MODELS[model]) {
+      throw new Error(`Unknown simulated model: ${model} (expected one of ${MODEL_NAMES.join(', ')})`);
+    }
+
+    this.model = model;
+    this.spec = MODELS[model];
+    this.address = this.spec.address;
+    this.name = this.spec.name;
+    this.uuid = uuid ? uuid.toUpperCase() : null;
+    this.latency = latency;
+    this.buttonDelay = buttonDelay;
+    this.battery = {percent: 80, charging: false};
+    this.deviceTime = Math.floor(Date.now() / 1000);
+    this.notes = [];
+    this.connected = false;
+    this.authenticated = false;
+    this.pendingUuid = null;
+    this.awaitingButton = false;
+    this.failures = new Map();
+    this.drops = new Set();
+    this.ignored = new Set();
+    this.truncation = 0;
+    this.queue = [];
+    this.draining = false;
+
+    const initial = Array.isArray(notes) ? notes : Array.from({length: notes}, (_, i) => this.sampleStrokes(i));
+    const now = Math.floor(Date.now() / 1000);
+    initial.forEach((strokes, i) => this.addNote(strokes, now - (initial.length - i) * 3600));
+  }
+
+  get registrationMode() {
+    return this.uuid === null;
+  }
+
+  get characteristics() {
+    return this.spec.characteristics.slice();
+  }
+
+  // Manufacturer data the device advertises in its current state
+  get manufacturerData() {
+    const label = Buffer.from(this.spec.advertisement, 'ascii');
+    if (this.registrationMode) {
+      // Registration mode: company ID plus two bytes
+      return Buffer.concat([label.subarray(0, 2), Buffer.from([0x00, 0x00])]);
+    }
+    if (this.notes.length > 0) {
+      const suffix = this.spec.advertisement.startsWith('WA') ? '.SI' : '.sa';
+      return Buffer.concat([label, Buffer.from(suffix, 'ascii')]);
+    }
+    return label;
+  }
+
+  // Store a note as the device would after the user draws it.
+  // strokes is a list of strokes, each a list of {x, y, p} points in device units.
+  addNote(strokes, timestamp = Math.floor(Date.now() / 1000)) {
+    const note = {timestamp, strokeCount: strokes.length, data: DeviceSimulator.encodeNote(strokes, this.spec.format, timestamp)};
+    this.notes.push(note);
+    return note;
+  }
+
+  // Answer the next command with this opcode with a 0xb3 error instead
+  failNext(opcode, errorCode = REPLY_GENERAL_ERROR) {
+    this.failures.set(opcode, errorCode);
+  }
+
+  // Drop the link halfway through answering the next command with this opcode,
+  // as a device that goes out of range. Emits 'disconnect'.
+  dropNext(opcode) {
+    this.drops.add(opcode);
+  }
+
+  // Leave the last `bytes` bytes out of the next note transfer, as data lost on
+  // the way. The note itself stays intact for the next transfer.
+  truncateNextTransfer(bytes = 1) {
+    this.truncation = bytes;
+  }
+
+  // Lose the next command with this opcode on its way to the device: it is
+  // neither carried out nor answered
+  ignoreNext(opcode) {
+    this.ignored.add(opcode);
+  }
+
+  // Confirm a pending registration, as the user pressing the device button
+  pressButton() {
+    if (!this.awaitingButton) {
+      return false;
+    }
+    this.awaitingButton = false;
+    this.uuid = this.pendingUuid;
+    this.notify(CHARACTERISTIC_COMMAND_NOTIFY, this.model === 'intuos-pro' ? [0x53, 0x00] : [0xe4, 0x00]);
+    return true;
+  }
+
+  connect() {
+    this.connected = true;
+    this.authenticated = false;
+  }
+
+  disconnect() {
+    this.connected = false;
+    this.authenticated = false;
+    this.awaitingButton = false;
+    this.queue = [];
+  }
+
+  // Handle a write to the command characteristic
+  write(data) {
+    const bytes = Buffer.from(data);
+    if (bytes.length < 2) {
+      return;
+    }
+    const opcode = bytes[0];
+    const payload = bytes.subarray(2, 2 + bytes[1]);
+
+    if (this.ignored.delete(opcode)) {
+      return;
+    }
+
+    if (this.failures.has(opcode)) {
+      const code = this.failures.get(opcode);
+      this.failures.delete(opcode);
+      this.reply(0xb3, [code]);
+      return;
+    }
+
+    // Everything except connecting and registering needs an authenticated link
+    const open = [0xe6, 0xe3, 0xe7];
+    if (!this.authenticated && !open.includes(opcode)) {
+      this.reply(0xb3, [REPLY_INVALID_STATE]);
+      return;
+    }
+
+    switch (opcode) {
+      case 0xe6:
+        this.handleConnect(payload);
+        break;
+      case 0xe3:
+      case 0xe7:
+        this.handleRegisterPressButton(opcode === 0xe3 ? this.pendingUuid : payload);
+        break;
+      case 0xe5:
+        this.reply(0xb3, [REPLY_OK]);
+        break;
+      case 0xb1:
+      case 0xec:
+        this.reply(0xb3, [REPLY_OK]);
+        break;
+      case 0xb6:
+      case 0xd6:
+        this.handleTime(opcode, payload);
+        break;
+      case 0xb7:
+        this.reply(0xb8, [payload[0], ...(this.spec.firmware[payload[0]] || [])]);
+        break;
+      case 0xb9:
+        this.reply(0xba, [this.battery.percent, this.battery.charging ? 0x01 : 0x00]);
+        break;
+      case 0xbb:
+      case 0xdb:
+        this.handleName(payload);
+        break;
+      case 0xea:
+        this.handleDimension(payload);
+        break;
+      case 0xc1:
+        this.reply(0xc2, [this.notes.length & 0xff, (this.notes.length >> 8) & 0xff]);
+        break;
+      case 0xc5:
+        this.handleFileInfo();
+        break;
+      case 0xc3:
+        this.handleDownload();
+        break;
+      case 0xca:
+        this.handleDelete();
+        break;
+      default:
+        this.reply(0xb3, [REPLY_GENERAL_ERROR]);
+    }
+
+    if (this.drops.has(opcode)) {
+      this.drops.delete(opcode);
+      this.queue.splice(Math.floor(this.queue.length / 2), 0, {drop: true});
+    }
+  }
+
+  handleConnect(payload) {
+    const uuid = Buffer.from(payload).toString('hex').toUpperCase();
+    if (this.registrationMode) {
+      this.pendingUuid = uuid;
+      this.authenticated = true;
+      // The Spark rejects unknown UUIDs even while its LED blinks
+      if (this.model === 'spark') {
+        this.reply(0xb3, [REPLY_GENERAL_ERROR]);
+      } else {
+        this.reply(0x50, []);
+      }
+      return;
+    }
+
+    if (uuid === this.uuid) {
+      this.authenticated = true;
+      this.reply(0x50, []);
+    } else {
+      this.reply(0x51, [0x01]);
+    }
+  }
+
+  handleRegisterPressButton(uuid) {
+    if (!this.registrationMode) {
+      this.reply(0xb3, [REPLY_INVALID_STATE]);
+      return;
+    }
+    this.pendingUuid = Buffer.isBuffer(uuid) ? uuid.toString('hex').toUpperCase() : uuid;
+    this.awaitingButton = true;
+    if (this.buttonDelay !== null) {
+      setTimeout(() => {
+        if (this.connected) {
+          this.pressButton();
+        }
+      }, this.buttonDelay);
+    }
+  }
+
+  handleTime(opcode, payload) {
+    if (payload.length >= 6) {
+      // Set time: YYMMDDHHmmss as BCD
+      const [year, month, day, hour, minute, second] = Array.from(payload.subarray(0, 6)).map(b => parseInt(b.toString(16), 10));
+      this.deviceTime = Math.floor(Date.UTC(2000 + year, month - 1, day, hour, minute, second) / 1000);
+      this.reply(0xb3, [REPLY_OK]);
+      return;
+    }
+
+    if (this.model === 'intuos-pro') {
+      const bytes = Buffer.alloc(4);
+      bytes.writeUInt32LE(this.deviceTime);
+      this.reply(0xbd, Array.from(bytes));
+    } else {
+      this.reply(0xbd, DeviceSimulator.toBcdTime(this.deviceTime));
+    }
+  }
+
+  handleName(payload) {
+    if (payload.length === 0) {
+      this.reply(0xbc, [...Buffer.from(this.name, 'utf8'), 0x0a]);
+      return;
+    }
+    this.name = Buffer.from(payload).toString('utf8').replace(/\n$/, '');
+    this.reply(0xb3, [REPLY_OK]);
+  }
+
+  handleDimension(payload) {
+    const dimensions = this.spec.dimensions;
+    const values = dimensions ? {0x03: dimensions.width, 0x04: dimensions.height, 0x14: dimensions.pointSize} : {};
+    const value = values[payload[0]];
+    if (value === undefined || value === null) {
+      this.reply(0xb3, [REPLY_GENERAL_ERROR]);
+      return;
+    }
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32LE(value);
+    this.reply(0xeb, [payload[0], 0x00, ...bytes]);
+  }
+
+  handleFileInfo() {
+    const note = this.notes[0];
+    if (!note) {
+      this.reply(0xb3, [REPLY_INVALID_STATE]);
+      return;
+    }
+    const count = Buffer.alloc(4);
+    count.writeUInt32BE(note.strokeCount);
+    this.reply(0xc7, Array.from(count));
+    this.reply(0xcd, DeviceSimulator.toBcdTime(note.timestamp));
+  }
+
+  handleDownload() {
+    const note = this.notes[0];
+    if (!note) {
+      this.reply(0xb3, [REPLY_INVALID_STATE]);
+      return;
+    }
+    const data = note.data.subarray(0, note.data.length - this.truncation);
+    this.truncation = 0;
+    this.reply(0xc8, [0xbe]);
+    for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+      this.notify(CHARACTERISTIC_FILE_TRANSFER_NOTIFY, data.subarray(offset, offset + CHUNK_SIZE));
+    }
+    this.reply(0xc8, [0xed]);
+  }
+
+  handleDelete() {
+    if (this.notes.length === 0) {
+      this.reply(0xb3, [REPLY_INVALID_STATE]);
+      return;
+    }
+    this.notes.shift();
+    // The Spark deletes without replying
+    if (this.model !== 'spark') {
+      this.reply(0xb3, [REPLY_OK]);
+    }
+  }
+
+  reply(opcode, payload) {
+    this.notify(CHARACTERISTIC_COMMAND_NOTIFY, [opcode, payload.length, ...payload]);
+  }
+
+  // Notifications go out one at a time, `latency` ms apart, like a BLE link
+  notify(uuid, data) {
+    this.queue.push({uuid, data: Buffer.from(data)});
+    if (!this.draining) {
+      this.draining = true;
+      setTimeout(() => this.drain(), this.latency);
+    }
+  }
+
+  drain() {
+    const next = this.queue.shift();
+    if (next && next.drop) {
+      this.disconnect();
+      this.emit('disconnect');
+    } else if (next && this.connected) {
+      this.emit('notify', next.uuid, next.data);
+    }
+    if (this.queue.length > 0) {
+      setTimeout(() => this.drain(), this.latency);
+    } else {
+      this.draining = false;
+    }
+  }
+
+  // A recognisable doodle for sample note `index`: a circle, a wave or a box
+  sampleStrokes(index) {
+    const {width, height} = this.spec.dimensions || {width: 21000, height: 14800};
+    const cx = width / 2;
+    const cy = height / 2;
+    const r = Math.min(width, height) / 4;
+    const point = (x, y, t) => ({x: Math.round(x), y: Math.round(y), p: Math.round(300 + 500 * Math.sin(Math.PI * t))});
+    const steps = 60;
+    const range = n => Array.from({length: n + 1}, (_, i) => i / n);
+
+    switch (index % 3) {
+      case 0:
+        return [range(steps).map(t => point(cx + r * Math.cos(2 * Math.PI * t), cy + r * Math.sin(2 * Math.PI * t), t))];
+      case 1:
+        return [range(steps).map(t => point(cx - 2 * r + 4 * r * t, cy + (r / 2) * Math.sin(4 * Math.PI * t), t))];
+      default: {
+        const corners = [
+          [cx - r, cy - r],
+          [cx + r, cy - r],
+          [cx + r, cy + r],
+          [cx - r, cy + r],
+        ];
+        return corners.map(([x0, y0], i) => {
+          const [x1, y1] = corners[(i + 1) % corners.length];
+          return range(steps / 4).map(t => point(x0 + (x1 - x0) * t, y0 + (y1 - y0) * t, t));
+        });
+      }
+    }
+  }
+
+  // Build a Smartpad file. Every record is four raw shorts (compression tag 0xff),
+  // which the decompressor passes through unchanged.
+  static encodeNote(strokes, format = 'b8bt', timestamp = Math.floor(Date.now() / 1000)) {
+    const records = [];
+    strokes.forEach((stroke, i) => {
+      if (format === 'gieb') {
+        // 0xfa stroke header: flags, unix timestamp, sub-second units
+        records.push([0xfa, timestamp & 0xffff, (timestamp >>> 16) & 0xffff, 0x0000]);
+      } else {
+        // 0xeeff stroke header: offset from the file timestamp in 5 ms units
+        const offset = i * 200;
+        records.push([0xeeff, 0x0000, offset & 0xffff, (offset >>> 16) & 0xffff]);
+      }
+      for (const {x, y, p} of stroke) {
+        records.push([0xffff, x & 0xffff, y & 0xffff, p & 0xffff]);
+      }
+      // Pen up
+      records.push([0xffff, 0xffff, 0xffff, 0xffff]);
+    });
+
+    const header = Buffer.alloc(format === 'gieb' ? 16 : 4);
+    header.writeUInt32LE(format === 'gieb' ? MAGIC_ID_INTUOS : MAGIC_ID_SPARK);
+    const body = Buffer.alloc(records.length * 9);
+    records.forEach((record, i) => {
+      body[i * 9] = 0xff;
+      record.forEach((value, j) => body.writeUInt16LE(value, i * 9 + 1 + j * 2));
+    });
+    return Buffer.concat([header, body]);
+  }
+
+  static addressFor(model) {
+    if (!MODELS[model]) {
+      throw new Error(`Unknown simulated model: ${model} (expected one of ${MODEL_NAMES.join(', ')})`);
+    }
+    return MODELS[model].address;
+  }
+
+  // Unix seconds to YYMMDDHHmmss as BCD bytes
+  static toBcdTime(seconds) {
+    const date = new Date(seconds * 1000);
+    const fields = [date.getUTCFullYear() % 100, date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()];
+    return fields.map(value => parseInt(String(value).padStart(2, '0'), 16));
+  }
+}
+
+DeviceSimulator.MODELS = MODEL_NAMES;
+
+export default DeviceSimulator;
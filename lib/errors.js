@@ -0,0 +1,153 @@
+// Errors raised while talking to a device
+// Each carries the command opcode it concerns and, for errors the device
+// reported, the Wacom error byte from its reply. The CLI exits with the class's
+// exit code, and `retryable` tells retry loops whether trying again can help.
+
+// Exit codes; 1 is any other error
+const EXIT_CODES = {
+  timeout: 3,
+  disconnected: 4,
+  authorization: 5,
+  invalidState: 6,
+  device: 7,
+  transfer: 8,
+  // 128 + SIGINT, as a shell reports a process stopped with Ctrl-C
+  interrupted: 130,
+};
+
+// Note transfer commands (start download, read note info); errors the device
+// reports for them are retried like the transfer itself
+const TRANSFER_OPCODES = [0xc3, 0xc5];
+
+// Wacom error bytes in the general 0xb3 reply
+const ERROR_CODE_NAMES = {
+  0x01: 'general error',
+  0x02: 'invalid state',
+  0x03: 'read-only parameter',
+  0x05: 'command not supported',
+};
+
+class WacomError extends Error {
+  // details.opcode: command opcode, details.code: Wacom error byte,
+  // details.cause: the error this one wraps
+  constructor(message, details = {}) {
+    super(message, details.cause ? {cause: details.cause} : undefined);
+    this.name = this.constructor.name;
+    this.opcode = details.opcode ?? null;
+    this.code = details.code ?? null;
+  }
+
+  get exitCode() {
+    return 1;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+// No reply (or no connection) within the time allowed
+class TimeoutError extends WacomError {
+  // details.expected: reply opcodes that were awaited
+  constructor(message, details = {}) {
+    super(message, details);
+    this.expected = details.expected ?? null;
+  }
+
+  get exitCode() {
+    return EXIT_CODES.timeout;
+  }
+}
+
+// The device rejected our UUID; retrying does not help until it is re-registered
+class AuthorizationError extends WacomError {
+  get exitCode() {
+    return EXIT_CODES.authorization;
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+// The device is not in a state to accept the command (error byte 0x02). The
+// user has to change that (e.g. press the button), so retrying does not help.
+class InvalidStateError extends WacomError {
+  get exitCode() {
+    return EXIT_CODES.invalidState;
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+// Any other error the device reported. Only transfer commands are retried;
+// e.g. an unsupported command or a read-only parameter fails the same way again.
+class DeviceError extends WacomError {
+  get exitCode() {
+    return EXIT_CODES.device;
+  }
+
+  get retryable() {
+    return TRANSFER_OPCODES.includes(this.opcode);
+  }
+}
+
+// A transferred note failed validation (truncated, corrupt or incomplete)
+class TransferError extends WacomError {
+  get exitCode() {
+    return EXIT_CODES.transfer;
+  }
+}
+
+// The BLE link is gone
+class DisconnectedError extends WacomError {
+  get exitCode() {
+    return EXIT_CODES.disconnected;
+  }
+}
+
+// The user stopped the command (Ctrl-C). details.notes: notes saved before
+// stopping, details.remaining: notes left on the device, if known
+class InterruptedError extends WacomError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.notes = details.notes ?? [];
+    this.remaining = details.remaining ?? null;
+  }
+
+  get exitCode() {
+    return EXIT_CODES.interrupted;
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+// Error for a failed general reply ([0xb3, length, code]) to command `opcode`
+function replyError(reply, opcode, action) {
+  const code = reply.length > 2 ? reply[2] : 0x01;
+  const name = ERROR_CODE_NAMES[code] || 'unknown error';
+  const message = `${action} failed: device reported ${name} (0x${code.toString(16)})`;
+  return code === 0x02 ? new InvalidStateError(message, {opcode, code}) : new DeviceError(message, {opcode, code});
+}
+
+function exitCodeFor(error) {
+  return error instanceof WacomError ? error.exitCode : 1;
+}
+
+export {
+  WacomError,
+  TimeoutError,
+  AuthorizationError,
+  InvalidStateError,
+  DeviceError,
+  DisconnectedError,
+  TransferError,
+  InterruptedError,
+  EXIT_CODES,
+  replyError,
+  exitCodeFor,
+};
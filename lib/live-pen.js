@@ -0,0 +1,62 @@
+// Live pen report decoder
+// Based on tuhi's live mode handling: while the device is in live mode it sends
+// [0xa2, length, x, y, p, x, y, p, ...] on the live pen characteristic, each
+// value little-endian 16-bit. A point of all 0xffff means the pen was lifted.
+// [0xa1, length, ...] packets announce the pen coming into proximity.
+import StrokeParser from './stroke-parser.js';
+
+const OPCODE_PEN_PROXIMITY = 0xa1;
+const OPCODE_PEN_DATA = 0xa2;
+const POINT_SIZE = 6;
+
+class LivePenDecoder {
+  constructor(dimensions = {}) {
+    // Scale exactly like downloaded notes so live and exported coordinates match
+    this.parser = new StrokeParser(dimensions);
+    this.penDown = false;
+  }
+
+  // Returns the events contained in one notification:
+  // {type: 'point', x, y, p, timestamp} or {type: 'pen-up', timestamp}
+  decode(data) {
+    const bytes = Buffer.from(data);
+    const timestamp = Date.now();
+    const events = [];
+
+    if (bytes.length < 2) {
+      return events;
+    }
+
+    const opcode = bytes[0];
+    const payload = bytes.subarray(2, 2 + bytes[1]);
+
+    if (opcode === OPCODE_PEN_PROXIMITY) {
+      this.penDown = false;
+      return events;
+    }
+    if (opcode !== OPCODE_PEN_DATA) {
+      return events;
+    }
+
+    for (let offset = 0; offset + POINT_SIZE <= payload.length; offset += POINT_SIZE) {
+      const x = payload.readUInt16LE(offset);
+      const y = payload.readUInt16LE(offset + 2);
+      const p = payload.readUInt16LE(offset + 4);
+
+      if (x === 0xffff && y === 0xffff) {
+        if (this.penDown) {
+          events.push({type: 'pen-up', timestamp});
+        }
+        this.penDown = false;
+        continue;
+      }
+
+      this.penDown = true;
+      events.push({type: 'point', ...this.parser.scalePoint(x, y, p), timestamp});
+    }
+
+    return events;
+  }
+}
+
+export default LivePenDecoder;
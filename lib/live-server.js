@@ -0,0 +1,97 @@
+// Live pen server
+// Serves a canvas page and streams pen events to it with Server-Sent Events.
+// Events are already in SVG page units so the canvas matches exported SVGs.
+import http from 'node:http';
+import fs from 'node:fs';
+import logger from './logger.js';
+
+const PAGE_FILE = new URL('./live-page.html', import.meta.url);
+// Events replayed to browsers that connect mid-session
+const MAX_HISTORY = 200000;
+
+class LiveServer {
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 8080;
+    // {width, height} of the page in mm, after orientation
+    this.page = options.page;
+    this.clients = new Set();
+    this.history = [];
+    this.server = null;
+  }
+
+  async start() {
+    const html = fs.readFileSync(PAGE_FILE, 'utf8');
+
+    this.server = http.createServer((req, res) => {
+      const {pathname} = new URL(req.url, 'http://localhost');
+      if (pathname === '/') {
+        res.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'});
+        res.end(html);
+      } else if (pathname === '/events') {
+        this.addClient(req, res);
+      } else {
+        res.writeHead(404, {'Content-Type': 'text/plain'});
+        res.end('Not found');
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    const {port} = this.server.address();
+    return `http://${this.host.includes(':') ? `[${this.host}]` : this.host}:${port}/`;
+  }
+
+  addClient(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    this.send(res, 'page', this.page);
+    for (const event of this.history) {
+      this.send(res, 'pen', event);
+    }
+
+    this.clients.add(res);
+    logger.verbose(`Viewer connected (${this.clients.size} total)`);
+    req.on('close', () => {
+      this.clients.delete(res);
+      logger.verbose(`Viewer disconnected (${this.clients.size} total)`);
+    });
+  }
+
+  send(res, type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  broadcast(event) {
+    this.history.push(event);
+    if (this.history.length > MAX_HISTORY) {
+      this.history.shift();
+    }
+    for (const res of this.clients) {
+      this.send(res, 'pen', event);
+    }
+  }
+
+  async close() {
+    if (!this.server) {
+      return;
+    }
+    for (const res of this.clients) {
+      res.end();
+    }
+    this.clients.clear();
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+  }
+}
+
+export default LiveServer;
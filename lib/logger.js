@@ -3,12 +3,18 @@ import {Spinner} from 'cli-spinner';
 var verboseActive = false;
 const spinnerGlyphs = '|/-\\';
 let activeSpinner = null;
+let activeProgress = null;
 
+// Called before any output: stops the spinner and clears a progress line,
+// which the next progress update draws again
 const stopActiveSpinner = () => {
   if (activeSpinner) {
     activeSpinner.stop(true);
     activeSpinner = null;
   }
+  if (activeProgress) {
+    activeProgress.clear();
+  }
 };
 
 const logFactory = (symbol, color, writer = console.log) => (message = '', ...args) => {
@@ -86,6 +92,82 @@ const startSpinner = (text) => {
   };
 };
 
+// One-line progress display redrawn in place, at most every 100ms unless forced.
+// Without a TTY (or in verbose mode) nothing is drawn, so logs stay plain lines.
+const startProgress = () => {
+  stopActiveSpinner();
+  const interactive = Boolean(process.stdout.isTTY) && !verboseActive;
+  let drawn = false;
+  let lastDraw = 0;
+
+  const progress = {
+    update: (text, force = false) => {
+      if (!interactive || (!force && drawn && Date.now() - lastDraw < 100)) {
+        return;
+      }
+      if (activeSpinner) {
+        activeSpinner.stop(true);
+        activeSpinner = null;
+      }
+      process.stdout.write(`\r\x1b[2K${chalk.gray(text)}`);
+      drawn = true;
+      lastDraw = Date.now();
+      activeProgress = progress;
+    },
+    clear: () => {
+      if (drawn) {
+        process.stdout.write('\r\x1b[2K');
+        drawn = false;
+      }
+    },
+    done: () => {
+      progress.clear();
+      if (activeProgress === progress) {
+        activeProgress = null;
+      }
+    }
+  };
+  return progress;
+};
+
+const formatTable = (headers, rows) => {
+  const widths = headers.map((header, column) => Math.max(header.length, ...rows.map(row => String(row[column] ?? '').length)));
+  const formatRow = row => row.map((cell, column) => String(cell ?? '').padEnd(widths[column])).join('  ').trimEnd();
+  return [chalk.bold.white(formatRow(headers)), ...rows.map(formatRow)];
+};
+
+// Table that redraws in place as rows change. Without a TTY (or in verbose
+// mode, where other output would interleave) it is printed once when done.
+const startLiveTable = (headers) => {
+  stopActiveSpinner();
+  const interactive = Boolean(process.stdout.isTTY) && !verboseActive;
+  let printedLines = 0;
+  let lastRows = [];
+
+  const draw = (rows) => {
+    const lines = formatTable(headers, rows);
+    if (printedLines > 0) {
+      process.stdout.write(`\x1b[${printedLines}A\x1b[0J`);
+    }
+    process.stdout.write(`${lines.join('\n')}\n`);
+    printedLines = lines.length;
+  };
+
+  return {
+    update: (rows) => {
+      lastRows = rows;
+      if (interactive) {
+        draw(rows);
+      }
+    },
+    done: () => {
+      if (!interactive) {
+        draw(lastRows);
+      }
+    }
+  };
+};
+
 export default {
   info,
   success,
@@ -97,6 +179,8 @@ export default {
   blank,
   headline,
   startSpinner,
+  startProgress,
+  startLiveTable,
   verbose,
   isVerbose
 };
@@ -112,6 +196,8 @@ export {
   blank,
   headline,
   startSpinner,
+  startProgress,
+  startLiveTable,
   verbose,
   setVerbose,
   isVerbose
@@ -0,0 +1,26 @@
+// Note Renderer
+// Turns raw Smartpad file data into a parsed drawing and its SVG
+import StrokeParser from './stroke-parser.js';
+import SVGConverter from './svg-converter.js';
+
+class NoteRenderer {
+  constructor(options = {}) {
+    this.converterOptions = {
+      orientation: options.orientation,
+    };
+    // Tablet dimensions as reported by the device ({width, height, pointSize})
+    this.dimensions = options.dimensions || {};
+  }
+
+  render(data, timestamp) {
+    const parser = new StrokeParser(this.dimensions);
+    // A blank page parses to no strokes and renders as an empty page
+    const drawing = parser.parse(data, timestamp);
+
+    const converter = new SVGConverter(this.converterOptions);
+    const svg = converter.convert(drawing);
+    return {drawing, svg};
+  }
+}
+
+export default NoteRenderer;
@@ -0,0 +1,150 @@
+// Durable storage for downloaded notes
+// Every file is written to a temporary path, fsync'd and renamed into place so a
+// crash or a full disk never leaves a half-written note behind.
+// Raw Smartpad files are kept verbatim next to their SVG, and manifest.json
+// records where each one came from so old notes can be re-rendered later.
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import logger from './logger.js';
+
+const RAW_EXTENSION = '.raw';
+const SVG_EXTENSION = '.svg';
+const MANIFEST_FILE = 'manifest.json';
+
+class NoteStore {
+  constructor(outputDir) {
+    this.outputDir = outputDir;
+    this.manifestFile = path.join(this.outputDir, MANIFEST_FILE);
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, {recursive: true});
+    }
+    this.manifest = this.loadManifest();
+  }
+
+  static hash(bytes) {
+    return crypto.createHash('sha256').update(Buffer.from(bytes)).digest('hex');
+  }
+
+  loadManifest() {
+    if (!fs.existsSync(this.manifestFile)) {
+      return {notes: []};
+    }
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.manifestFile, 'utf8'));
+      return {notes: Array.isArray(parsed.notes) ? parsed.notes : []};
+    } catch (error) {
+      // Never overwrite a manifest we could not read
+      throw new Error(`Failed to load manifest ${this.manifestFile}: ${error.message}`);
+    }
+  }
+
+  findEntry(sha256) {
+    return this.manifest.notes.find(entry => entry.sha256 === sha256) || null;
+  }
+
+  // True when the raw file of a manifest entry is on disk with the recorded content
+  isArchived(entry) {
+    const rawFile = path.join(this.outputDir, entry.raw);
+    if (!fs.existsSync(rawFile)) {
+      return false;
+    }
+    return NoteStore.hash(fs.readFileSync(rawFile)) === entry.sha256;
+  }
+
+  // Record a downloaded note. Both files must already be saved, or only the raw
+  // file when the note could not be rendered (renderError says why).
+  addManifestEntry({baseName, bytes, address, protocol, timestamp, strokeCount, dimensions, renderError = null}) {
+    const entry = {
+      raw: path.basename(this.rawPath(baseName)),
+      svg: renderError ? null : path.basename(this.svgPath(baseName)),
+      address: address || null,
+      protocol: protocol || null,
+      timestamp: timestamp || null,
+      strokeCount: strokeCount ?? null,
+      dimensions: dimensions || null,
+      byteLength: bytes.length,
+      sha256: NoteStore.hash(bytes),
+      downloadedAt: new Date().toISOString(),
+    };
+    if (renderError) {
+      entry.renderError = renderError;
+    }
+
+    this.manifest.notes.push(entry);
+    try {
+      this.writeDurable(this.manifestFile, JSON.stringify(this.manifest, null, 2));
+    } catch (error) {
+      this.manifest.notes.pop();
+      logger.error(`Failed to save manifest: ${error.message}`);
+      throw error;
+    }
+    return entry;
+  }
+
+  // Timestamp-based base name that does not clash with a note already on disk
+  reserveBaseName(timestamp, index) {
+    const base = timestamp ? new Date(timestamp * 1000).toISOString().replace(/[:.]/g, '-').slice(0, -5) : `note-${index + 1}`;
+    let candidate = base;
+    let suffix = 2;
+    while (fs.existsSync(this.rawPath(candidate)) || fs.existsSync(this.svgPath(candidate))) {
+      candidate = `${base}-${suffix}`;
+      suffix++;
+    }
+    return candidate;
+  }
+
+  rawPath(baseName) {
+    return path.join(this.outputDir, `${baseName}${RAW_EXTENSION}`);
+  }
+
+  svgPath(baseName) {
+    return path.join(this.outputDir, `${baseName}${SVG_EXTENSION}`);
+  }
+
+  saveRaw(baseName, bytes) {
+    const filename = this.rawPath(baseName);
+    this.writeDurable(filename, Buffer.from(bytes));
+    return filename;
+  }
+
+  saveSvg(baseName, svg) {
+    const filename = this.svgPath(baseName);
+    this.writeDurable(filename, svg);
+    return filename;
+  }
+
+  writeDurable(filename, data) {
+    const tempFile = `${filename}.partial`;
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+      fs.writeFileSync(fd, data);
+      fs.fsyncSync(fd);
+    } catch (error) {
+      fs.closeSync(fd);
+      fs.rmSync(tempFile, {force: true});
+      throw error;
+    }
+    fs.closeSync(fd);
+    fs.renameSync(tempFile, filename);
+    this.syncDirectory();
+  }
+
+  syncDirectory() {
+    // Persist the rename itself; not every platform allows fsync on a directory
+    let fd = null;
+    try {
+      fd = fs.openSync(this.outputDir, 'r');
+      fs.fsyncSync(fd);
+    } catch (e) {
+      // Ignore - the file contents are already on disk
+    } finally {
+      if (fd !== null) {
+        fs.closeSync(fd);
+      }
+    }
+  }
+}
+
+export default NoteStore;
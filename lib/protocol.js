@@ -1,10 +1,29 @@
 // Wacom BLE Protocol Implementation
 // Based on tuhi's protocol.py
 import logger from './logger.js';
+import {AuthorizationError, DeviceError, InvalidStateError, TimeoutError, replyError} from './errors.js';
 
 class WacomProtocol {
   constructor(transport) {
     this.transport = transport;
+    // SPARK, SLATE or INTUOS_PRO once known (from registration or the saved config)
+    this.protocolVersion = null;
+  }
+
+  isIntuosPro() {
+    return this.protocolVersion === 'INTUOS_PRO';
+  }
+
+  // Decode a YYMMDDHHmmss BCD timestamp (as written by setTime) to unix seconds
+  parseBcdTime(bytes) {
+    if (bytes.length < 6) {
+      return null;
+    }
+    const [year, month, day, hour, minute, second] = Array.from(bytes.slice(0, 6)).map(b => parseInt(b.toString(16).padStart(2, '0'), 10));
+    if ([year, month, day, hour, minute, second].some(Number.isNaN)) {
+      return null;
+    }
+    return Math.floor(Date.UTC(2000 + year, month - 1, day, hour, minute, second) / 1000);
   }
 
   // Create NordicData format: [opcode, length, ...data]
@@ -12,6 +31,15 @@ class WacomProtocol {
     return [opcode, data.length, ...data];
   }
 
+  // Send a command and wait for its reply. Commands that normally answer with
+  // another opcode answer with 0xb3 when they fail, so 0xb3 is always accepted
+  // and returned to the caller.
+  async request(opcode, data, expected, timeout = 5000) {
+    const opcodes = Array.isArray(expected) ? expected : [expected];
+    const accepted = opcodes.includes(0xb3) ? opcodes : [...opcodes, 0xb3];
+    return this.transport.request(this.createMessage(opcode, data), accepted, timeout);
+  }
+
   // Parse NordicData format
   parseMessage(data) {
     if (data.length < 2) {
@@ -25,16 +53,27 @@ class WacomProtocol {
 
   async setPaperMode() {
     // Set mode to PAPER (0x01) - separate from transfer GATT setup
-    const msg = this.createMessage(0xb1, [0x01]);
-    await this.transport.sendCommand(msg);
-    const reply = await this.transport.waitForReply(0xb3, 5000);
+    const reply = await this.request(0xb1, [0x01], 0xb3);
+
+    if (reply.length > 2 && reply[2] !== 0x00) {
+      const errorCode = reply[2];
+      if (errorCode === 0x02) {
+        throw new InvalidStateError('Device in invalid state - make sure the LED is blue (data ready) and press the button to switch to green (ready)', {opcode: 0xb1, code: errorCode});
+      }
+      throw new DeviceError(`Failed to set paper mode: error code 0x${errorCode.toString(16)}`, {opcode: 0xb1, code: errorCode});
+    }
+  }
+
+  async setLiveMode() {
+    // Set mode to LIVE (0x00) - pen reports stream in real time instead of being stored
+    const reply = await this.request(0xb1, [0x00], 0xb3);
 
     if (reply.length > 2 && reply[2] !== 0x00) {
       const errorCode = reply[2];
       if (errorCode === 0x02) {
-        throw new Error('Device in invalid state - make sure the LED is blue (data ready) and press the button to switch to green (ready)');
+        throw new InvalidStateError('Device in invalid state - cannot switch to live mode', {opcode: 0xb1, code: errorCode});
       }
-      throw new Error(`Failed to set paper mode: error code 0x${errorCode.toString(16)}`);
+      throw new DeviceError(`Failed to set live mode: error code 0x${errorCode.toString(16)}`, {opcode: 0xb1, code: errorCode});
     }
   }
 
@@ -48,14 +87,15 @@ class WacomProtocol {
 
   async getFilesCount() {
     // Request format: [0xc1, 0x01, 0x00] - opcode, length=1, data=[0x00]
-    const msg = this.createMessage(0xc1, [0x00]);
-    await this.transport.sendCommand(msg);
-    const reply = await this.transport.waitForReply(0xc2, 5000);
+    const reply = await this.request(0xc1, [0x00], 0xc2);
+    if (reply[0] === 0xb3) {
+      throw replyError(reply, 0xc1, 'Reading the note count');
+    }
 
     // Reply format: [0xc2, 0x02, count_low, count_high]
     // For Slate devices, count is little-endian 16-bit
     if (reply.length < 4) {
-      throw new Error(`Invalid reply length for file count: ${reply.length}`);
+      throw new DeviceError(`Invalid reply length for file count: ${reply.length}`, {opcode: 0xc1});
     }
     const count = reply[2] | (reply[3] << 8);
     return count;
@@ -64,141 +104,112 @@ class WacomProtocol {
   async getOldestFileInfo() {
     // Get stroke data info (count and timestamp)
     // Request format: [0xc5, 0x01, 0x00] - opcode, length=1, data=[0x00]
-    const msg = this.createMessage(0xc5, [0x00]);
-    await this.transport.sendCommand(msg);
+    // The device sends two replies, 0xc7 (count) and 0xcd (timestamp), normally in
+    // that order; whichever comes second is picked up from the reply queue.
+    // For Spark/Slate: count is big-endian 32-bit, timestamp is 6 BCD bytes
+    const first = await this.request(0xc5, [0x00], [0xc7, 0xcd]);
+    if (first[0] === 0xb3) {
+      throw replyError(first, 0xc5, 'Reading the note info');
+    }
+
+    const replies = {[first[0]]: first};
+    const second = first[0] === 0xc7 ? 0xcd : 0xc7;
+    try {
+      replies[second] = await this.transport.waitForReply(second, 2000);
+    } catch (e) {
+      // Some devices only send one of the two
+    }
 
     let count = 0;
     let timestamp = null;
 
-    // May receive multiple replies: 0xc7 (count) and 0xcd (timestamp)
-    // For Spark/Slate: count is big-endian 32-bit, timestamp is 6 bytes as hex
-    try {
-      const reply1 = await this.transport.waitForReply(0xc7, 2000);
-      // Reply format: [0xc7, 0x04, byte0, byte1, byte2, byte3]
-      // Count is big-endian 32-bit
-      if (reply1.length >= 6) {
-        count = (reply1[2] << 24) | (reply1[3] << 16) | (reply1[4] << 8) | reply1[5];
-      }
-    } catch (e) {
-      // Count reply may be missing for some devices
+    // Reply format: [0xc7, 0x04, byte0, byte1, byte2, byte3]
+    // Count is big-endian 32-bit
+    const countReply = replies[0xc7];
+    if (countReply && countReply.length >= 6) {
+      count = (countReply[2] << 24) | (countReply[3] << 16) | (countReply[4] << 8) | countReply[5];
     }
 
-    try {
-      const reply2 = await this.transport.waitForReply(0xcd, 2000);
-      // Reply format: [0xcd, 0x06, byte0...byte5]
-      // Timestamp: YYMMDDHHmmss format (6 bytes as hex)
-      if (reply2.length >= 8) {
-        const timestampBytes = reply2.slice(2, 8);
-        const timestampStr = timestampBytes.map(b => b.toString(16).padStart(2, '0')).join('');
-        const year = 2000 + parseInt(timestampStr.substring(0, 2), 16);
-        const month = parseInt(timestampStr.substring(2, 4), 16) - 1; // JS months are 0-indexed
-        const day = parseInt(timestampStr.substring(4, 6), 16);
-        const hour = parseInt(timestampStr.substring(6, 8), 16);
-        const minute = parseInt(timestampStr.substring(8, 10), 16);
-        const second = parseInt(timestampStr.substring(10, 12), 16);
-        timestamp = Math.floor(new Date(Date.UTC(year, month, day, hour, minute, second)).getTime() / 1000);
-      }
-    } catch (e) {
+    // Reply format: [0xcd, 0x06, byte0...byte5]
+    // Timestamp: YYMMDDHHmmss as BCD (6 bytes)
+    const timeReply = replies[0xcd];
+    if (!timeReply) {
       // Timestamp may be missing, use current time
       timestamp = Math.floor(Date.now() / 1000);
+    } else if (timeReply.length >= 8) {
+      timestamp = this.parseBcdTime(timeReply.slice(2, 8));
     }
 
     return {count, timestamp};
   }
 
   async getOldestFile() {
-    // Clear buffer and reset completion flag
-    this.transport.clearFileTransferBuffer();
-    this.transport.setFileTransferComplete(false);
+    // File data arrives in chunks on FILE_TRANSFER_NOTIFY; the transport
+    // collects them from here on
+    this.transport.startFileTransfer();
 
     // Start downloading oldest file
     // Request format: [0xc3, 0x01, 0x00] - opcode, length=1, data=[0x00]
-    const startMsg = this.createMessage(0xc3, [0x00]);
-    await this.transport.sendCommand(startMsg);
-
     // Wait for file transfer start (0xc8 0x01 0xbe)
     // Format: [opcode, length, data]
-    const startReply = await this.transport.waitForReply(0xc8, 5000);
+    const startReply = await this.request(0xc3, [0x00], 0xc8);
+    if (startReply[0] === 0xb3) {
+      throw replyError(startReply, 0xc3, 'Starting the note download');
+    }
     if (startReply.length < 3 || startReply[2] !== 0xbe) {
-      throw new Error(
+      throw new DeviceError(
         `Unexpected file transfer start response: ${Array.from(startReply)
           .map(b => `0x${b.toString(16)}`)
           .join(' ')}`,
+        {opcode: 0xc3},
       );
     }
 
     // Wait for file transfer end (0xc8 0x01 0xed)
-    // File data comes through FILE_TRANSFER_NOTIFY characteristic
-    // The end notification comes through COMMAND_NOTIFY as 0xc8 0xed
+    // The end notification comes through COMMAND_NOTIFY. The device sends it
+    // after the last data chunk and notifications arrive in order, so once it is
+    // here the data is complete.
     const endReply = await this.transport.waitForReply(0xc8, 30000);
     if (endReply.length < 3 || endReply[2] !== 0xed) {
-      throw new Error(
+      throw new DeviceError(
         `Unexpected file transfer end response: ${Array.from(endReply)
           .map(b => `0x${b.toString(16)}`)
           .join(' ')}`,
+        {opcode: 0xc3},
       );
     }
 
-    // Small delay to ensure all file transfer data has been received
-    // File transfer data comes asynchronously through notifications
-    await new Promise(resolve => setTimeout(resolve, 100));
-
-    // Get the accumulated file data - make a copy immediately
-    // Use getter function to ensure we get the current buffer
-    const buffer = this.transport.getFileTransferBuffer ? this.transport.getFileTransferBuffer() : this.transport.fileTransferBuffer;
-    const fileData = Array.from(buffer); // Create a copy before clearing
-   // logger.detail(`Received ${fileData.length} bytes of file data (buffer had ${buffer.length} bytes)`);
-
-    if (fileData.length === 0) {
-      logger.warn('No file data received!');
-      logger.warn(`Buffer state: length=${buffer.length}, complete=${this.transport.fileTransferComplete}`);
-    } else if (fileData.length < 20) {
-      logger.warn(
-        `File data seems too small (${fileData.length} bytes). First bytes: ${fileData
-          .slice(0, Math.min(20, fileData.length))
-          .map(b => `0x${b.toString(16).padStart(2, '0')}`)
-          .join(' ')}`,
-      );
-    }
-
-    // Clear buffer after we've copied the data
-    this.transport.clearFileTransferBuffer();
-    this.transport.setFileTransferComplete(false);
-    logger.success(`Downloaded file (${fileData.length} bytes)`);
+    // The caller validates the data (WacomBLE.validateTransfer)
+    const fileData = this.transport.takeFileTransferData();
+    logger.verbose(`Downloaded file (${fileData.length} bytes)`);
     return fileData;
   }
 
   async deleteOldestFile() {
     // Delete command format: [0xca, 0x01, 0x00] - opcode, length=1, data=[0x00]
-    const msg = this.createMessage(0xca, [0x00]);
-    await this.transport.sendCommand(msg);
+    // The Spark deletes without replying, so waiting would only add a timeout per note
+    if (this.protocolVersion === 'SPARK') {
+      await this.transport.sendCommand(this.createMessage(0xca, [0x00]));
+      return;
+    }
+
     // For Slate/Intuos devices, deletion uses the default 0xb3 handler
-    // Wait for 0xb3 reply with data byte 0x00 (success) or non-zero (error)
-    try {
-      const reply = await this.transport.waitForReply(0xb3, 2000);
-      if (reply.length < 3 || reply[2] !== 0x00) {
-        const errorCode = reply.length > 2 ? reply[2] : reply[1];
-        // Error code 0x1 = GENERAL_ERROR, might be okay to continue
-        // Error code 0x2 = INVALID_STATE, might mean file already deleted
-        if (errorCode === 0x1) {
-          logger.warn('Delete returned GENERAL_ERROR (0x1) - file may already be deleted');
-          return; // Continue anyway
-        } else if (errorCode === 0x2) {
-          logger.warn('Delete returned INVALID_STATE (0x2) - file may already be deleted');
-          return; // Continue anyway
-        }
-        throw new Error(`Delete failed with error code: 0x${errorCode.toString(16)}`);
-      }
-      // Success
-    } catch (e) {
-      // If no reply, that's okay for Spark devices (requires_reply = False)
-      // But for Slate, we should get a reply
-      if (e.message.includes('timeout') || e.message.includes('No response')) {
-        // Spark devices don't require a reply, so timeout is okay
-        logger.note('No reply to delete command (normal for Spark devices)');
-      } else {
-        throw e;
+    // Wait for 0xb3 reply with data byte 0x00 (success) or non-zero (error).
+    // These devices always reply, so a missing reply is a TimeoutError: the
+    // caller cannot tell whether the note was deleted and has to check the count.
+    const reply = await this.request(0xca, [0x00], 0xb3, 2000);
+    if (reply.length < 3 || reply[2] !== 0x00) {
+      const errorCode = reply.length > 2 ? reply[2] : reply[1];
+      // Error code 0x1 = GENERAL_ERROR, might be okay to continue
+      // Error code 0x2 = INVALID_STATE, might mean file already deleted
+      if (errorCode === 0x1) {
+        logger.warn('Delete returned GENERAL_ERROR (0x1) - file may already be deleted');
+        return; // Continue anyway
+      } else if (errorCode === 0x2) {
+        logger.warn('Delete returned INVALID_STATE (0x2) - file may already be deleted');
+        return; // Continue anyway
       }
+      throw new DeviceError(`Delete failed with error code: 0x${errorCode.toString(16)}`, {opcode: 0xca, code: errorCode});
     }
   }
 
@@ -210,59 +221,57 @@ class WacomProtocol {
       uuidBytes.push(parseInt(uuid.substring(i, i + 2), 16));
     }
 
-    const msg = this.createMessage(0xe6, uuidBytes);
-    await this.transport.sendCommand(msg);
-
-    // Wait for reply - may be 0x50 (success), 0x51 (error), or 0xb3 (error)
+    // The reply is 0x50 (success), 0x51 (failure with a reason) or 0xb3 (error)
+    let reply;
     try {
-      const reply = await this.transport.waitForReply(0x50, 2000);
-      return {success: true};
+      reply = await this.request(0xe6, uuidBytes, [0x50, 0x51, 0xb3], 2000);
     } catch (e) {
-      // Try other opcodes
-      try {
-        const reply = await this.transport.waitForReply(0x51, 2000);
-        const reason = reply.length > 2 ? reply[2] : reply[1];
-        if (reason === 0x00 || reason === 0x03) {
-          throw new Error('Device in invalid state');
-        } else if (reason === 0x01 || reason === 0x02) {
-          if (isRegistration) {
-            // During registration, this might be expected
-            return {success: false, needsRegistration: true};
-          }
-          throw new Error('Authorization failed - wrong UUID. Device may need re-registration.');
+      if (!(e instanceof TimeoutError)) {
+        throw e;
+      }
+      // For Slate devices in download mode, no response might be okay
+      // The device is already connected via BLE, so authentication might not be needed
+      if (allowNoResponse) {
+        return {success: true};
+      }
+      if (isRegistration) {
+        // During registration, no reply might be expected for Spark
+        return {success: false, needsRegistration: true};
+      }
+      throw new TimeoutError('No response from device', {opcode: 0xe6, expected: e.expected, cause: e});
+    }
+
+    if (reply[0] === 0x50) {
+      return {success: true};
+    }
+
+    if (reply[0] === 0x51) {
+      const reason = reply.length > 2 ? reply[2] : reply[1];
+      if (reason === 0x00 || reason === 0x03) {
+        throw new InvalidStateError('Device in invalid state', {opcode: 0xe6, code: reason});
+      } else if (reason === 0x01 || reason === 0x02) {
+        if (isRegistration) {
+          // During registration, this might be expected
+          return {success: false, needsRegistration: true};
         }
-        throw new Error(`Connection failed: 0x${reason.toString(16)}`);
-      } catch (e2) {
-        // Check for 0xb3 error response
-        try {
-          const reply = await this.transport.waitForReply(0xb3, 2000);
-          if (reply.length > 2 && reply[2] !== 0x00) {
-            if (reply[2] === 0x01) {
-              // General error on Spark means authorization failed
-              if (isRegistration) {
-                return {success: false, needsRegistration: true};
-              }
-              throw new Error('Authorization failed - wrong UUID. Device may need re-registration.');
-            }
-            throw new Error(`Device error: 0x${reply[2].toString(16)}`);
-          }
-          // Success (0xb3 0x00)
-          return {success: true};
-        } catch (e3) {
-          // For Slate devices in download mode, no response might be okay
-          // The device is already connected via BLE, so authentication might not be needed
-          if (allowNoResponse) {
-            // logger.note('No response to CONNECT command (this may be normal for Slate devices)');
-            return {success: true};
-          }
-          if (isRegistration) {
-            // During registration, no reply might be expected for Spark
-            return {success: false, needsRegistration: true};
-          }
-          throw new Error('No response from device');
+        throw new AuthorizationError('Authorization failed - wrong UUID. Device may need re-registration.', {opcode: 0xe6, code: reason});
+      }
+      throw new DeviceError(`Connection failed: 0x${reason.toString(16)}`, {opcode: 0xe6, code: reason});
+    }
+
+    // 0xb3
+    if (reply.length > 2 && reply[2] !== 0x00) {
+      if (reply[2] === 0x01) {
+        // General error on Spark means authorization failed
+        if (isRegistration) {
+          return {success: false, needsRegistration: true};
         }
+        throw new AuthorizationError('Authorization failed - wrong UUID. Device may need re-registration.', {opcode: 0xe6, code: reply[2]});
       }
+      throw new DeviceError(`Device error: 0x${reply[2].toString(16)}`, {opcode: 0xe6, code: reply[2]});
     }
+    // Success (0xb3 0x00)
+    return {success: true};
   }
 
   async registerPressButton(uuid = null) {
@@ -290,25 +299,22 @@ class WacomProtocol {
     // Spark: 0xe4
     // Slate: 0xe4
     // Intuos Pro: 0x53
+    let reply;
     try {
-      const reply = await this.transport.waitForReply(0xe4, timeout);
-      return {protocolVersion: 'SPARK'}; // or 'SLATE'
+      reply = await this.transport.waitForReply([0xe4, 0x53], timeout);
     } catch (e) {
-      try {
-        const reply = await this.transport.waitForReply(0x53, timeout);
-        return {protocolVersion: 'INTUOS_PRO'};
-      } catch (e2) {
-        throw new Error('Timeout waiting for button press');
+      if (!(e instanceof TimeoutError)) {
+        throw e;
       }
+      throw new TimeoutError('Timeout waiting for button press', {expected: e.expected, cause: e});
     }
+    return {protocolVersion: reply[0] === 0x53 ? 'INTUOS_PRO' : 'SPARK'}; // or 'SLATE'
   }
 
   async registerComplete() {
-    const msg = this.createMessage(0xe5, []);
-    await this.transport.sendCommand(msg);
-    const reply = await this.transport.waitForReply(0xb3, 5000);
+    const reply = await this.request(0xe5, [], 0xb3);
     if (reply.length > 2 && reply[2] !== 0x00) {
-      throw new Error(`Registration complete failed: 0x${reply[2].toString(16)}`);
+      throw new DeviceError(`Registration complete failed: 0x${reply[2].toString(16)}`, {opcode: 0xe5, code: reply[2]});
     }
   }
 
@@ -331,34 +337,37 @@ class WacomProtocol {
       timeBytes.push(parseInt(timeStr.substring(i, i + 2), 16));
     }
 
-    const msg = this.createMessage(0xb6, timeBytes);
-    await this.transport.sendCommand(msg);
     try {
-      const reply = await this.transport.waitForReply(0xb3, 5000);
+      const reply = await this.request(0xb6, timeBytes, 0xb3);
       if (reply.length > 2 && reply[2] !== 0x00) {
         const errorCode = reply[2];
         if (errorCode === 0x02) {
-          throw new Error('Device in invalid state - cannot set time');
+          throw new InvalidStateError('Device in invalid state - cannot set time', {opcode: 0xb6, code: errorCode});
         }
-        throw new Error(`Set time failed: 0x${errorCode.toString(16)}`);
+        throw new DeviceError(`Set time failed: 0x${errorCode.toString(16)}`, {opcode: 0xb6, code: errorCode});
       }
     } catch (error) {
-      if (error.message.includes('Timeout')) {
-        throw new Error('Timeout setting device time - device may not be ready');
+      if (error instanceof TimeoutError) {
+        throw new TimeoutError('Timeout setting device time - device may not be ready', {opcode: 0xb6, expected: error.expected, cause: error});
       }
       throw error;
     }
   }
 
   async readTime() {
-    // GET_TIME uses same opcode 0xb6 but expects reply 0xbd
-    // For Slate, we just need to read it, don't need to parse
-    const msg = this.createMessage(0xb6, []);
-    await this.transport.sendCommand(msg);
+    // GET_TIME uses same opcode 0xb6 (0xd6 on Intuos Pro) but expects reply 0xbd
+    // Spark/Slate reply with YYMMDDHHmmss as BCD, Intuos Pro with a little-endian unix timestamp
     try {
-      const reply = await this.transport.waitForReply(0xbd, 5000);
-      // Time is in reply payload, but we don't need to parse it for registration
-      return reply;
+      const opcode = this.isIntuosPro() ? 0xd6 : 0xb6;
+      const reply = await this.request(opcode, [], 0xbd);
+      if (reply[0] === 0xb3) {
+        throw replyError(reply, opcode, 'Reading the device time');
+      }
+      const payload = this.parseMessage(reply).payload;
+      if (this.isIntuosPro()) {
+        return payload.length >= 4 ? (payload[0] | (payload[1] << 8) | (payload[2] << 16) | (payload[3] << 24)) >>> 0 : null;
+      }
+      return this.parseBcdTime(payload);
     } catch (error) {
       // If readTime fails, it's not critical for registration
       logger.warn('Could not read device time (this is usually okay)');
@@ -366,22 +375,106 @@ class WacomProtocol {
     }
   }
 
+  async getBattery() {
+    // Request format: [0xb9, 0x01, 0x01]
+    // Reply format: [0xba, 0x02, percent, charging]
+    const reply = await this.request(0xb9, [0x01], 0xba);
+    if (reply[0] === 0xb3) {
+      throw replyError(reply, 0xb9, 'Reading the battery level');
+    }
+    if (reply.length < 4) {
+      throw new DeviceError(`Invalid reply length for battery: ${reply.length}`, {opcode: 0xb9});
+    }
+    return {percent: reply[2], charging: reply[3] === 0x01};
+  }
+
+  async getFirmwareVersion() {
+    // The firmware version comes in two halves: [0xb7, 0x01, 0x00] (high) and [0xb7, 0x01, 0x01] (low)
+    // Reply format: [0xb8, length, half, version bytes...]
+    const readHalf = async half => {
+      const reply = await this.request(0xb7, [half], 0xb8);
+      if (reply[0] === 0xb3) {
+        throw replyError(reply, 0xb7, 'Reading the firmware version');
+      }
+      const {payload} = this.parseMessage(reply);
+      return Array.from(payload.slice(1))
+        .map(b => b.toString(16))
+        .join('')
+        .toUpperCase();
+    };
+
+    const high = await readHalf(0x00);
+    const low = await readHalf(0x01);
+    return `${high}-${low}`;
+  }
+
+  async getName() {
+    // Request format: [0xbb, 0x00] ([0xdb, 0x00] on Intuos Pro)
+    // Reply format: [0xbc, length, name bytes...]
+    const opcode = this.isIntuosPro() ? 0xdb : 0xbb;
+    const reply = await this.request(opcode, [], 0xbc);
+    if (reply[0] === 0xb3) {
+      throw replyError(reply, opcode, 'Reading the device name');
+    }
+    const {payload} = this.parseMessage(reply);
+    return Buffer.from(payload).toString('utf8').replace(/[\0\n]+$/, '').trim();
+  }
+
+  async getDimension(arg) {
+    // Request format: [0xea, 0x02, arg, 0x00] - 0x03 width, 0x04 height, 0x14 point size
+    // Reply format: [0xeb, 0x06, arg, 0x00, value (little-endian 32-bit)]
+    const reply = await this.request(0xea, [arg, 0x00], 0xeb);
+    if (reply[0] === 0xb3) {
+      throw replyError(reply, 0xea, `Reading dimension 0x${arg.toString(16)}`);
+    }
+    if (reply.length < 8 || reply[2] !== arg) {
+      throw new DeviceError(`Unexpected dimension reply for 0x${arg.toString(16)}: ${reply.length} bytes`, {opcode: 0xea});
+    }
+    return (reply[4] | (reply[5] << 8) | (reply[6] << 16) | (reply[7] << 24)) >>> 0;
+  }
+
+  async getDimensions() {
+    // Width and height are in device units, point size is micrometers per unit
+    const width = await this.getDimension(0x03);
+    const height = await this.getDimension(0x04);
+    let pointSize = null;
+    try {
+      pointSize = await this.getDimension(0x14);
+    } catch (error) {
+      // Spark/Slate do not report a point size
+    }
+    return {width, height, pointSize};
+  }
+
+  async setName(name) {
+    // Request format: [0xbb, length, name bytes..., 0x0a] ([0xdb, ...] on Intuos Pro)
+    // The device advertises the new name after it reconnects
+    const nameBytes = Array.from(Buffer.from(name, 'utf8'));
+    if (nameBytes.length === 0 || nameBytes.length > 254) {
+      throw new Error(`Invalid device name length: ${nameBytes.length} bytes`);
+    }
+
+    const opcode = this.isIntuosPro() ? 0xdb : 0xbb;
+    const reply = await this.request(opcode, [...nameBytes, 0x0a], 0xb3);
+    if (reply.length > 2 && reply[2] !== 0x00) {
+      throw new DeviceError(`Set name failed: 0x${reply[2].toString(16)}`, {opcode, code: reply[2]});
+    }
+  }
+
   async selectTransferGatt() {
     // Same as switchToFileTransferMode but just the reporting type part
-    const setReportMsg = this.createMessage(0xec, [0x06, 0x00, 0x00, 0x00, 0x00, 0x00]);
-    await this.transport.sendCommand(setReportMsg);
     try {
-      const setReportReply = await this.transport.waitForReply(0xb3, 5000);
+      const setReportReply = await this.request(0xec, [0x06, 0x00, 0x00, 0x00, 0x00, 0x00], 0xb3);
       if (setReportReply.length > 2 && setReportReply[2] !== 0x00) {
         const errorCode = setReportReply[2];
         if (errorCode === 0x02) {
-          throw new Error('Device in invalid state - cannot configure transfer GATT');
+          throw new InvalidStateError('Device in invalid state - cannot configure transfer GATT', {opcode: 0xec, code: errorCode});
         }
-        throw new Error(`Set file transfer reporting type failed: 0x${errorCode.toString(16)}`);
+        throw new DeviceError(`Set file transfer reporting type failed: 0x${errorCode.toString(16)}`, {opcode: 0xec, code: errorCode});
       }
     } catch (error) {
-      if (error.message.includes('Timeout')) {
-        throw new Error('Timeout configuring transfer GATT - device may not be ready');
+      if (error instanceof TimeoutError) {
+        throw new TimeoutError('Timeout configuring transfer GATT - device may not be ready', {opcode: 0xec, expected: error.expected, cause: error});
       }
       throw error;
     }
@@ -0,0 +1,120 @@
+// Reply dispatcher for command notifications
+// Replies are matched to waiters by opcode. A waiter can accept any of several
+// opcodes (e.g. 0x50 success or 0x51/0xb3 failure for one command), and replies
+// that arrive while nobody waits for them are queued for the next waiter instead
+// of being dropped.
+//
+// request() registers its waiter before the command is written, so only replies
+// that arrive after the command was sent can answer it. waitFor() also takes
+// queued replies, for the later replies of a multi-reply exchange.
+import {DisconnectedError, TimeoutError} from './errors.js';
+
+// Queued replies are kept this long, and at most this many
+const MAX_QUEUE_AGE = 30000;
+const MAX_QUEUE_LENGTH = 32;
+
+class ReplyDispatcher {
+  constructor() {
+    this.waiters = [];
+    this.queue = [];
+  }
+
+  // Hand a reply to the oldest waiter for its opcode, or queue it
+  dispatch(reply) {
+    const opcode = reply[0];
+    const waiter = this.waiters.find(candidate => candidate.opcodes.includes(opcode));
+    if (waiter) {
+      this.settle(waiter);
+      waiter.resolve(reply);
+      return;
+    }
+
+    this.queue.push({reply, receivedAt: Date.now()});
+    if (this.queue.length > MAX_QUEUE_LENGTH) {
+      this.queue.shift();
+    }
+  }
+
+  // Wait for a reply with one of `opcodes` (a number or an array), taking a
+  // queued one if it is already there
+  waitFor(opcodes, timeout = 5000) {
+    const expected = ReplyDispatcher.toList(opcodes);
+    this.expire();
+    const index = this.queue.findIndex(({reply}) => expected.includes(reply[0]));
+    if (index !== -1) {
+      const [{reply}] = this.queue.splice(index, 1);
+      return Promise.resolve(reply);
+    }
+    return this.addWaiter(expected, timeout, null);
+  }
+
+  // Send command `opcode` with send() and wait for its reply. Queued replies with
+  // the expected opcodes are stale (they answer earlier commands) and are dropped.
+  async request(send, opcodes, timeout = 5000, opcode = null) {
+    const expected = ReplyDispatcher.toList(opcodes);
+    this.queue = this.queue.filter(({reply}) => !expected.includes(reply[0]));
+    const pending = this.addWaiter(expected, timeout, opcode);
+    try {
+      await send();
+    } catch (error) {
+      this.cancel(pending.waiter, error);
+      throw error;
+    }
+    return pending;
+  }
+
+  // Fail every waiter, e.g. when the device disconnects, and forget queued replies
+  reset(error = new DisconnectedError('Device disconnected')) {
+    for (const waiter of this.waiters.slice()) {
+      this.cancel(waiter, error);
+    }
+    this.queue = [];
+  }
+
+  addWaiter(opcodes, timeout, opcode) {
+    let waiter;
+    const promise = new Promise((resolve, reject) => {
+      waiter = {opcodes, resolve, reject, timer: null};
+      waiter.timer = setTimeout(() => {
+        const message = `Timeout waiting for reply with opcode ${ReplyDispatcher.describe(opcodes)}`;
+        this.cancel(waiter, new TimeoutError(message, {opcode, expected: opcodes}));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+    promise.waiter = waiter;
+    // The caller may still be sending the command when a failure is reported
+    promise.catch(() => {});
+    return promise;
+  }
+
+  cancel(waiter, error) {
+    if (this.settle(waiter)) {
+      waiter.reject(error);
+    }
+  }
+
+  settle(waiter) {
+    const index = this.waiters.indexOf(waiter);
+    if (index === -1) {
+      return false;
+    }
+    this.waiters.splice(index, 1);
+    clearTimeout(waiter.timer);
+    return true;
+  }
+
+  expire() {
+    const cutoff = Date.now() - MAX_QUEUE_AGE;
+    this.queue = this.queue.filter(({receivedAt}) => receivedAt >= cutoff);
+  }
+
+  static toList(opcodes) {
+    return Array.isArray(opcodes) ? opcodes : [opcodes];
+  }
+
+  static describe(opcodes) {
+    return opcodes.map(opcode => `0x${opcode.toString(16)}`).join('/');
+  }
+}
+
+export default ReplyDispatcher;
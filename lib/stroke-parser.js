@@ -6,12 +6,12 @@ const MAGIC_ID_SPARK = 0x74623862; // 'b8bt'
 const MAGIC_ID_INTUOS = 0x65698267; // 'gieb'
 
 class StrokeParser {
-  constructor() {
-    // Device dimensions (Spark/Slate defaults)
-    this.width = 21000;
-    this.height = 14800;
-    this.pressure = 1023;
-    this.pointSize = 10;
+  constructor(dimensions = {}) {
+    // Device dimensions (Spark/Slate defaults unless the device reported its own)
+    this.width = dimensions.width || 21000;
+    this.height = dimensions.height || 14800;
+    this.pressure = dimensions.pressure || 1023;
+    this.pointSize = dimensions.pointSize || 10;
   }
 
   parse(data, timestamp) {
@@ -33,7 +33,7 @@ class StrokeParser {
     
     return {
       timestamp: timestamp || header.timestamp || Math.floor(Date.now() / 1000),
-      dimensions: [this.width * this.pointSize, this.height * this.pointSize],
+      dimensions: this.pageDimensions(),
       strokes
     };
   }
@@ -88,6 +88,55 @@ class StrokeParser {
     return this.buildDrawingFromPaths(paths, timestamp);
   }
   
+  // Check that data is a complete Smartpad file: a known magic, compressed
+  // blocks that end with the data and a decompressed length that is a multiple
+  // of 8, as the Smartpad parsers require. Returns {format, decompressedLength,
+  // strokeCount}, counting strokes by their headers; strokeCount is null when
+  // the strokes themselves do not parse. Throws if data is not a complete note.
+  inspect(data) {
+    const bytes = this.ensureByteArray(data);
+    if (!bytes || bytes.length < 4) {
+      throw new Error(`Note data too short (${bytes ? bytes.length : 0} bytes)`);
+    }
+
+    const magic = this.readUInt32LE(bytes, 0);
+    if (magic !== MAGIC_ID_SPARK && magic !== MAGIC_ID_INTUOS) {
+      throw new Error(`Unknown note format: magic 0x${magic.toString(16).padStart(8, '0')} (expected b8bt or gieb)`);
+    }
+    const format = magic === MAGIC_ID_SPARK ? 'b8bt' : 'gieb';
+    const payloadOffset = magic === MAGIC_ID_SPARK ? 4 : 16;
+    if (bytes.length < payloadOffset) {
+      throw new Error(`Note data too short for a ${format} header (${bytes.length} bytes)`);
+    }
+
+    const decompressor = new SmartPadDecompressor(bytes);
+    const decompressed = decompressor.decompressFrom(payloadOffset);
+    if (decompressor.readIndex > bytes.length) {
+      throw new Error('Note data ends inside a compressed block');
+    }
+    if (decompressed.length % 8 !== 0) {
+      throw new Error(`Decompressed length ${decompressed.length} is not a multiple of 8`);
+    }
+    if (decompressed.length === 0) {
+      return {format, decompressedLength: 0, strokeCount: 0};
+    }
+
+    // The transfer is complete at this point; a parser error is ours to fix,
+    // not a reason to fetch the note again
+    let strokeCount = null;
+    try {
+      const paths = magic === MAGIC_ID_SPARK ? SmartPadFileParserColumbia.parse(decompressed, null) : SmartPadFileParser020102.parse(decompressed);
+      strokeCount = paths.filter(path => !path.headless).length;
+    } catch (error) {
+      logger.verbose(`Smartpad parsing failed: ${error.message}`);
+    }
+    return {
+      format,
+      decompressedLength: decompressed.length,
+      strokeCount
+    };
+  }
+
   buildDrawingFromPaths(paths, fallbackTimestamp) {
     const drawingTimestamp = fallbackTimestamp ||
       Math.floor((paths.find(p => p.timestamp)?.timestamp || Date.now()) / 1000);
@@ -104,11 +153,7 @@ class StrokeParser {
         const yRaw = point.y;
         maxX = Math.max(maxX, xRaw);
         maxY = Math.max(maxY, yRaw);
-        stroke.push({
-          x: xRaw * this.pointSize,
-          y: yRaw * this.pointSize,
-          p: Math.max(0, Math.min(0xffff, Math.floor((point.p * 0x10000) / this.pressure)))
-        });
+        stroke.push(this.scalePoint(xRaw, yRaw, point.p));
       }
       if (stroke.length > 0) {
         scaledStrokes.push(stroke);
@@ -129,6 +174,21 @@ class StrokeParser {
     };
   }
 
+  // Tablet size in micrometers, as used for drawing dimensions
+  pageDimensions() {
+    return [this.width * this.pointSize, this.height * this.pointSize];
+  }
+
+  // Convert raw device units to the units used in drawings:
+  // coordinates in micrometers, pressure normalized to 0..0xffff
+  scalePoint(x, y, p) {
+    return {
+      x: x * this.pointSize,
+      y: y * this.pointSize,
+      p: Math.max(0, Math.min(0xffff, Math.floor((p * 0x10000) / this.pressure)))
+    };
+  }
+
   parseFileHeader(data) {
     // Check file format signature - compare bytes directly
     // Spark/Slate format: [0x62, 0x38, 0x62, 0x74] = 'b8bt'
@@ -568,6 +628,8 @@ class SmartPadDecompressor {
       t0 = temp;
     }
     
+    // Beyond the data length if the last block was cut short
+    this.readIndex = readIndex;
     return this.output;
   }
   
@@ -781,7 +843,9 @@ const SmartPadFileParserColumbia = {
       points: [],
       timestamp: Date.now(),
       penType: 0,
-      newLayer: false
+      newLayer: false,
+      // Points without a stroke header before them
+      headless: true
     };
     paths.push(stroke);
     return stroke;
@@ -10,24 +10,54 @@ class SVGConverter {
     this.orientation = options.orientation === 'portrait' ? 'portrait' : 'landscape';
   }
 
-  convert({dimensions, strokes}) {
+  // Page size in mm (SVG user units). svgWidth/svgHeight are after orientation.
+  pageSize(dimensions) {
     // Calculate dimensions - ensure they're not zero
     let width = dimensions[0] / this.outputScalingFactor;
     let height = dimensions[1] / this.outputScalingFactor;
-    
+
     if (width === 0 || height === 0) {
       width = 100;
       height = 100;
     }
-    const originalWidth = width;
-    const originalHeight = height;
-    let svgWidth = width;
-    let svgHeight = height;
+
+    if (this.orientation === 'portrait') {
+      return {width, height, svgWidth: height, svgHeight: width};
+    }
+    return {width, height, svgWidth: width, svgHeight: height};
+  }
+
+  // Scale a drawing point (micrometers, pressure 0..0xffff) to mm and a pen width
+  scalePoint(point) {
+    const x = point.x / this.outputScalingFactor;
+    const y = point.y / this.outputScalingFactor;
+
+    // Calculate stroke width from pressure
+    const delta = (point.p - 0x8000) / 0x8000;
+    let penWidth = this.basePenWidth + this.penPressureWidthFactor * delta;
+
+    // Reduce precision
+    penWidth = Math.floor(penWidth * this.widthPrecision) / this.widthPrecision;
+
+    // Convert to pixels (mm to px at 96dpi)
+    return {x, y, penWidth, strokeWidth: penWidth * 0.26458};
+  }
+
+  // A point as it appears on the oriented page, for drawing outside of SVG
+  toPagePoint(point, page) {
+    const scaled = this.scalePoint(point);
+    if (this.orientation === 'portrait') {
+      // Same as the SVG group transform: rotate(90) translate(0, -height)
+      return {...scaled, x: page.height - scaled.y, y: scaled.x};
+    }
+    return scaled;
+  }
+
+  convert({dimensions, strokes}) {
+    const {height: originalHeight, svgWidth, svgHeight} = this.pageSize(dimensions);
     let groupTransform = '';
 
     if (this.orientation === 'portrait') {
-      svgWidth = originalHeight;
-      svgHeight = originalWidth;
       groupTransform = ` transform="rotate(90) translate(0, -${originalHeight})"`;
     }
 
@@ -46,24 +76,13 @@ class SVGConverter {
       let pathId = 0;
 
       for (const point of stroke) {
-        const x = point.x / this.outputScalingFactor;
-        const y = point.y / this.outputScalingFactor;
+        const {x, y, penWidth: strokeWidth, strokeWidth: widthPx} = this.scalePoint(point);
 
         // Skip invalid coordinates
         if (isNaN(x) || isNaN(y) || !isFinite(x) || !isFinite(y)) {
           continue;
         }
 
-        // Calculate stroke width from pressure
-        const delta = (point.p - 0x8000) / 0x8000;
-        let strokeWidth = this.basePenWidth + this.penPressureWidthFactor * delta;
-
-        // Reduce precision
-        strokeWidth = Math.floor(strokeWidth * this.widthPrecision) / this.widthPrecision;
-
-        // Convert to pixels (mm to px at 96dpi)
-        const widthPx = strokeWidth * 0.26458;
-
         // Create new path if stroke width changed
         if (currentStrokeWidth !== strokeWidth) {
           if (pathData) {
@@ -0,0 +1,70 @@
+// Protocol traces
+// A trace is a JSON Lines file with one record per BLE operation, timed in ms
+// from the start of the recording:
+//   {"t":0,"type":"start","version":1,...}
+//   {"t":812.4,"type":"connect","address":"...","name":"...","manufacturerData":"5547...","registration":{...}}
+//   {"t":1310.2,"type":"characteristics","uuids":["6e40...",...]}
+//   {"t":1402.9,"type":"write","channel":"command","char":"6e40...","data":"e606..."}
+//   {"t":1431.0,"type":"notify","channel":"command","char":"6e40...","data":"5000"}
+//   {"t":9001.7,"type":"close"}
+// 'disconnect' marks a link dropped by the device, 'close' one closed by us and
+// 'connect-error' a connection attempt that failed. The replay backend feeds a
+// trace back through WacomBLE and WacomProtocol.
+import fs from 'node:fs';
+import {performance} from 'node:perf_hooks';
+
+const TRACE_VERSION = 1;
+
+class TraceRecorder {
+  // meta is stored in the 'start' record (command line, platform, ...)
+  constructor(file, meta = {}) {
+    this.file = file;
+    // Written synchronously so the trace survives a crash mid-transfer
+    this.fd = fs.openSync(file, 'w');
+    this.startedAt = performance.now();
+    this.record('start', {version: TRACE_VERSION, startedAt: new Date().toISOString(), ...meta});
+  }
+
+  record(type, fields = {}) {
+    if (this.fd === null) {
+      return;
+    }
+    const t = Math.round((performance.now() - this.startedAt) * 10) / 10;
+    fs.writeSync(this.fd, `${JSON.stringify({t, type, ...fields})}\n`);
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  static read(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    const records = [];
+    lines.forEach((line, i) => {
+      if (line.trim() === '') return;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid trace ${file}: line ${i + 1} is not JSON`);
+      }
+      if (typeof record.t !== 'number' || typeof record.type !== 'string') {
+        throw new Error(`Invalid trace ${file}: line ${i + 1} has no time or type`);
+      }
+      records.push(record);
+    });
+
+    if (records.length === 0 || records[0].type !== 'start') {
+      throw new Error(`Invalid trace ${file}: missing start record`);
+    }
+    if (records[0].version !== TRACE_VERSION) {
+      throw new Error(`Unsupported trace version ${records[0].version} in ${file} (expected ${TRACE_VERSION})`);
+    }
+    return records;
+  }
+}
+
+export default TraceRecorder;
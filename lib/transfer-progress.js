@@ -0,0 +1,110 @@
+// Progress of a note download run
+// Tracks which note is in transfer, the bytes received for it so far and the
+// throughput of the run. On a TTY a progress bar with an ETA is redrawn as data
+// arrives; every finished note also gets a line of its own, so without a TTY
+// the output is one line per note.
+import logger from './logger.js';
+
+const BAR_WIDTH = 20;
+
+class TransferProgress {
+  constructor(total) {
+    this.total = total;
+    this.finished = 0;
+    // Bytes and ms of the finished transfers
+    this.bytes = 0;
+    this.ms = 0;
+    this.current = null;
+    this.display = logger.startProgress();
+  }
+
+  // Note `index` (0-based) of `total` starts transferring
+  startNote(index, total = this.total) {
+    this.total = total;
+    this.current = {index, bytes: 0, startedAt: Date.now()};
+    this.draw(true);
+  }
+
+  // `bytes` of the current note have arrived so far
+  received(bytes) {
+    if (this.current) {
+      this.current.bytes = bytes;
+      this.draw();
+    }
+  }
+
+  // The current note arrived completely with `bytes` bytes
+  finishNote(bytes) {
+    if (!this.current) {
+      return;
+    }
+    const {index, startedAt} = this.current;
+    const elapsed = Date.now() - startedAt;
+    this.current = null;
+    this.finished++;
+    this.bytes += bytes;
+    this.ms += elapsed;
+
+    const eta = this.eta(index + 1);
+    const left = eta === null || index + 1 >= this.total ? '' : `, about ${TransferProgress.formatDuration(eta)} left`;
+    logger.success(`Note ${index + 1} of ${this.total}: ${TransferProgress.formatBytes(bytes)} (${TransferProgress.rate(bytes, elapsed)} bytes/s)${left}`);
+  }
+
+  stop() {
+    this.current = null;
+    this.display.done();
+  }
+
+  // Throughput of the run so far in bytes/s, including the current note
+  get throughput() {
+    const current = this.current ? {bytes: this.current.bytes, ms: Date.now() - this.current.startedAt} : {bytes: 0, ms: 0};
+    return TransferProgress.rate(this.bytes + current.bytes, this.ms + current.ms);
+  }
+
+  // Seconds until the run is done once `notesDone` notes and `currentBytes` of
+  // the next one are in, estimated from the average transfer size; null before
+  // the first transfer finished
+  eta(notesDone, currentBytes = 0) {
+    const rate = this.throughput;
+    if (this.finished === 0 || rate === 0) {
+      return null;
+    }
+    const average = this.bytes / this.finished;
+    const remaining = Math.max(average * (this.total - notesDone) - currentBytes, 0);
+    return remaining / rate;
+  }
+
+  draw(force = false) {
+    const {index, bytes} = this.current;
+    // Notes before this one are done; this one counts up to 99% of an average note
+    const average = this.finished > 0 ? this.bytes / this.finished : 0;
+    const partial = average > 0 ? Math.min(bytes / average, 0.99) : 0;
+    const filled = Math.round(((index + partial) / Math.max(this.total, 1)) * BAR_WIDTH);
+    const bar = `[${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}]`;
+    const eta = this.eta(index, bytes);
+    const parts = [
+      `Note ${index + 1}/${this.total}`,
+      bar,
+      `${TransferProgress.formatBytes(bytes)} received`,
+      `${TransferProgress.formatBytes(this.throughput)}/s`,
+      `ETA ${eta === null ? '--' : TransferProgress.formatDuration(eta)}`,
+    ];
+    this.display.update(parts.join('  '), force);
+  }
+
+  // Bytes per second for `bytes` transferred in `ms` milliseconds
+  static rate(bytes, ms) {
+    return Math.round((bytes * 1000) / Math.max(ms, 1));
+  }
+
+  static formatBytes(bytes) {
+    return bytes < 1024 ? `${bytes} bytes` : `${(bytes / 1024).toFixed(1)} KB`;
+  }
+
+  static formatDuration(seconds) {
+    const rounded = Math.ceil(seconds);
+    return rounded < 60 ? `${rounded}s` : `${Math.floor(rounded / 60)}m ${rounded % 60}s`;
+  }
+}
+
+export default TransferProgress;
@@ -1,19 +1,24 @@
-import noble from 'noble-mac';
-import path from 'node:path';
-import fs from 'node:fs';
+import {EventEmitter} from 'node:events';
+import {createBackend} from './backends/index.js';
 import WacomProtocol from './protocol.js';
+import NoteRenderer from './note-renderer.js';
+import NoteStore from './note-store.js';
 import StrokeParser from './stroke-parser.js';
-import SVGConverter from './svg-converter.js';
+import LivePenDecoder from './live-pen.js';
+import ReplyDispatcher from './reply-dispatcher.js';
+import TransferProgress from './transfer-progress.js';
+import {AuthorizationError, DisconnectedError, InterruptedError, InvalidStateError, TimeoutError, TransferError, WacomError} from './errors.js';
+import {
+  CHARACTERISTIC_COMMAND_NOTIFY,
+  CHARACTERISTIC_COMMAND_WRITE,
+  CHARACTERISTIC_FILE_TRANSFER_NOTIFY,
+  CHARACTERISTIC_EVENTS_NOTIFY,
+  CHARACTERISTIC_LIVE_PEN_NOTIFY,
+} from './characteristics.js';
 import config from './config.js';
 import UUIDGenerator from './uuid-generator.js';
 import logger from './logger.js';
 
-// BLE Characteristic UUIDs
-const CHARACTERISTIC_COMMAND_NOTIFY = '6e400003b5a3f393e0a9e50e24dcca9e';
-const CHARACTERISTIC_COMMAND_WRITE = '6e400002b5a3f393e0a9e50e24dcca9e';
-const CHARACTERISTIC_FILE_TRANSFER_NOTIFY = 'ffee0003bbaa99887766554433221100';
-const CHARACTERISTIC_EVENTS_NOTIFY = '3a340721c57211e586c50002a5d5c51b';
-
 // Wacom company IDs (first 2 bytes of manufacturer data, little-endian)
 const WACOM_COMPANY_ID_COLUMBIA = 0x4755; // "UG" = 0x55 0x47
 const WACOM_COMPANY_ID_WACOM = 0x4157; // "WA" = 0x57 0x41
@@ -27,76 +32,124 @@ const COLUMBIA_CREATIVE_DATA_READY = Buffer.from([0x55, 0x47, 0x2d, 0x43, 0x41,
 const VIPER_ADV = Buffer.from([0x57, 0x41, 0x2d, 0x56, 0x49, 0x50]); // WA-VIP
 const VIPER_DATA_READY = Buffer.from([0x57, 0x41, 0x2d, 0x56, 0x49, 0x50, 0x2e, 0x53, 0x49]); // WA-VIP.SI
 
+// Below this battery level a long transfer risks the device powering off
+const LOW_BATTERY_PERCENT = 20;
+
+// Attempts per note before a download gives up, and the exponential backoff
+// between them
+const TRANSFER_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 16000;
+
+// Full advertisement patterns and the device state each one announces
+const ADVERTISEMENT_PATTERNS = [
+  {data: COLUMBIA_CONSUMER_ADV, label: 'UG-CLR', mode: 'idle'},
+  {data: COLUMBIA_CONSUMER_DATA_READY, label: 'UG-CLR.sa', mode: 'data-ready'},
+  {data: COLUMBIA_CREATIVE_ADV, label: 'UG-CAT', mode: 'idle'},
+  {data: COLUMBIA_CREATIVE_DATA_READY, label: 'UG-CAT.sa', mode: 'data-ready'},
+  {data: VIPER_ADV, label: 'WA-VIP', mode: 'idle'},
+  {data: VIPER_DATA_READY, label: 'WA-VIP.SI', mode: 'data-ready'},
+];
+
 // Wacom device name patterns
 const WACOM_NAME_PATTERNS = [/bamboo/i, /spark/i, /slate/i, /intuos/i, /folio/i, /wacom/i];
 
-class WacomBLE {
-  constructor() {
-    this.peripheral = null;
+// Emits:
+// - 'pen' for each live pen event while in live mode
+// - 'disconnect' when the connected device drops the link
+// - 'stop' when requestStop() is called
+// - 'file-data' with the bytes received so far whenever a file transfer chunk arrives
+//
+// options.backend is a BLE backend (see backends/index.js) or a backend name;
+// it defaults to the one for this platform.
+class WacomBLE extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const {backend = 'auto'} = options;
+    this.backend = typeof backend === 'string' ? createBackend(backend) : backend;
+    this.connection = null;
+    // Characteristic UUIDs, or null when the device does not offer them
     this.commandChar = null;
     this.commandNotifyChar = null;
     this.fileTransferChar = null;
     this.eventsChar = null;
+    this.livePenChar = null;
+    this.livePenHandler = null;
     this.protocol = null;
-    this.pendingReplies = new Map();
-    this.fileTransferBuffer = [];
-    this.fileTransferComplete = false;
+    this.replies = new ReplyDispatcher();
+    // Chunks of the file being transferred, and their total length
+    this.fileTransferChunks = [];
+    this.fileTransferLength = 0;
     this.deviceInfo = null;
+    this.stopRequested = false;
   }
 
-  async scanAndConnect(timeout = 30000, registerMode = false) {
+  // Scan for Wacom devices and connect to one of them.
+  // options.device selects a device by alias, address or advertised name;
+  // options.chooseDevice(devices) picks one when several are in range.
+  async scanAndConnect(timeout = 30000, registerMode = false, options = {}) {
+    const {device: selector = null, chooseDevice = null} = options;
+    const backend = this.backend;
+    const scanSpinner = logger.isVerbose() ? null : logger.startSpinner('Scanning for Wacom devices');
+
+    const finalizeSpinner = (action, message) => {
+      if (scanSpinner && typeof scanSpinner[action] === 'function') {
+        scanSpinner[action](message);
+      }
+    };
+
+    try {
+      await backend.init(timeout);
+    } catch (error) {
+      finalizeSpinner('fail', error.message);
+      throw error;
+    }
+
     return new Promise((resolve, reject) => {
       const foundDevices = [];
       let scanningStopped = false;
-      const scanSpinner = logger.isVerbose() ? null : logger.startSpinner('Scanning for Wacom devices');
-
-      const finalizeSpinner = (action, message) => {
-        if (scanSpinner && typeof scanSpinner[action] === 'function') {
-          scanSpinner[action](message);
-        }
-      };
 
       const stopScanningAndConnect = async () => {
         if (scanningStopped) return;
         scanningStopped = true;
-
-        try {
-          await noble.stopScanning();
-        } catch (e) {
-          // Ignore errors stopping scan
-        }
+        backend.removeListener('discover', onDiscover);
+        backend.removeListener('stateChange', onStateChange);
+        await backend.stopScanning();
 
         if (foundDevices.length === 0) {
-          finalizeSpinner('fail', 'No Wacom devices found');
+          const message = selector ? `No Wacom device matching "${selector}" found` : 'No Wacom devices found';
+          finalizeSpinner('fail', message);
 
-          logger.verbose('No Wacom devices found.');
+          logger.verbose(`${message}.`);
           logger.verbose('Troubleshooting tips:');
           logger.verbose('1. Make sure your Wacom device is powered on');
           logger.verbose('2. For registration: Hold the button for 6+ seconds until LED blinks');
           logger.verbose('3. Make sure Bluetooth is enabled on your computer');
           logger.verbose('4. Try moving closer to the device');
 
-          reject(new Error('No Wacom devices found'));
+          reject(new Error(message));
           return;
         }
 
-        // Use the first device found
-        const device = foundDevices[0];
         finalizeSpinner('succeed', `Found ${foundDevices.length} device(s)`);
-        logger.blank();
-        logger.success(`Using: ${device.name}`);
-        logger.info(`Connecting to ${device.name}...`);
 
-        if (device.registered && !registerMode) {
-          const savedConfig = config.getDevice(device.address);
-          if (savedConfig) {
-            // logger.detail(`Device UUID: ${savedConfig.uuid}`);
-            // logger.detail(`Protocol: ${savedConfig.protocol}`);
+        // Use the first device found unless the caller wants to choose
+        let device = foundDevices[0];
+        if (foundDevices.length > 1 && chooseDevice) {
+          try {
+            device = await chooseDevice(foundDevices.slice());
+          } catch (error) {
+            reject(error);
+            return;
           }
         }
 
+        logger.blank();
+        logger.success(`Using: ${this.describeDevice(device)}`);
+        logger.info(`Connecting to ${device.name}...`);
+
         try {
-          await this.connect(device.peripheral);
+          await this.connect(device);
           this.deviceInfo = device;
           logger.success('Connection established');
           resolve(device);
@@ -114,106 +167,48 @@ class WacomBLE {
         }
       };
 
-      noble.on('stateChange', async state => {
-        if (state === 'poweredOn') {
-          if (scanSpinner) {
-            scanSpinner.update('Bluetooth powered on, scanning...');
-          } else {
-            logger.info('Bluetooth powered on, starting scan...');
-          }
-          noble.startScanning([], false);
-        } else if (state === 'poweredOff') {
+      const onStateChange = state => {
+        if (state === 'poweredOff' && !scanningStopped) {
+          scanningStopped = true;
+          backend.removeListener('discover', onDiscover);
+          backend.removeListener('stateChange', onStateChange);
           finalizeSpinner('fail', 'Bluetooth is powered off');
           reject(new Error('Bluetooth is powered off'));
         }
-      });
+      };
 
-      noble.on('discover', peripheral => {
-        const advData = peripheral.advertisement.manufacturerData;
-        const deviceName = peripheral.advertisement.localName || '';
-        // On macOS, noble-mac uses UUID as identifier (MAC address not available)
-        const address = peripheral.uuid || peripheral.address;
-
-        if (logger.isVerbose()) {
-          logger.detail(`Discovered: ${deviceName || '(no name)'} (${address})`);
-          if (advData) {
-            const data = Buffer.from(advData);
-            logger.detail(`Manufacturer data: ${data.toString('hex')} (${data.length} bytes)`);
-          } else {
-            logger.detail('No manufacturer data');
-          }
+      const onDiscover = device => {
+        const deviceInfo = this.identifyDevice(device);
+        if (!deviceInfo || scanningStopped) {
+          return;
         }
 
-        let isWacom = false;
-        let isRegistrationMode = false;
-
-        // Check manufacturer data if available
-        if (advData) {
-          const data = Buffer.from(advData);
-
-          // Check for full manufacturer data patterns
-          if (data.equals(COLUMBIA_CONSUMER_ADV) || data.equals(COLUMBIA_CONSUMER_DATA_READY) || data.equals(COLUMBIA_CREATIVE_ADV) || data.equals(COLUMBIA_CREATIVE_DATA_READY) || data.equals(VIPER_ADV) || data.equals(VIPER_DATA_READY)) {
-            isWacom = true;
-          }
-          // Check for company ID match (first 2 bytes)
-          else if (data.length >= 2) {
-            const companyId = data.readUInt16LE(0);
-            if (companyId === WACOM_COMPANY_ID_COLUMBIA || companyId === WACOM_COMPANY_ID_WACOM || companyId === WACOM_COMPANY_ID_BM) {
-              isWacom = true;
-              // During registration, manufacturer data is typically 4 bytes
-              if (data.length === 4) {
-                isRegistrationMode = true;
-              }
-            }
-          }
+        const status = deviceInfo.registered ? '[registered]' : '[unregistered]';
+        if (selector && !this.matchesSelector(deviceInfo, selector)) {
+          logger.verbose(`Skipping "${this.describeDevice(deviceInfo)}" ${status} (does not match "${selector}")`);
+          return;
         }
 
-        // Also check device name patterns (useful when manufacturer data is missing)
-        if (!isWacom && deviceName) {
-          for (const pattern of WACOM_NAME_PATTERNS) {
-            if (pattern.test(deviceName)) {
-              isWacom = true;
-              // If no manufacturer data but name matches, might be in registration mode
-              if (!advData) {
-                isRegistrationMode = true;
-              }
-              break;
-            }
-          }
-        }
+        foundDevices.push(deviceInfo);
+        logger.success(`Found "${this.describeDevice(deviceInfo)}" ${status}`);
 
-        // Also check if device is already registered (by UUID/address)
-        if (!isWacom) {
-          const normalizedAddress = config.normalizeAddress(address);
-          const savedDevice = config.getDevice(normalizedAddress);
-          if (savedDevice) {
-            isWacom = true;
-          }
+        if (selector) {
+          // This is the device we were asked for - no need to wait for others
+          stopScanningAndConnect();
+        } else if (foundDevices.length === 1) {
+          // Stop scanning and connect shortly after the first device shows up
+          setTimeout(() => stopScanningAndConnect(), 500); // Small delay to allow other devices to be discovered
         }
+      };
 
-        if (isWacom) {
-          const normalizedAddress = config.normalizeAddress(address);
-          const deviceInfo = {
-            id: peripheral.uuid,
-            address: normalizedAddress,
-            name: deviceName || 'Wacom Device',
-            peripheral,
-            registered: config.getDevice(normalizedAddress) !== null,
-            registrationMode: isRegistrationMode,
-          };
-          foundDevices.push(deviceInfo);
-          const status = deviceInfo.registered ? '[registered]' : '[unregistered]';
-          // const mode = isRegistrationMode ? ' [registration mode]' : '';
-          // Display address in a more readable format
-          const displayAddress = normalizedAddress.length === 32 ? normalizedAddress.match(/.{1,8}/g).join('-') : normalizedAddress.match(/.{1,2}/g).join(':');
-          logger.success(`Found "${deviceInfo.name}" ${status}`);
-
-          // Stop scanning and connect immediately when we find a device
-          if (!scanningStopped) {
-            setTimeout(() => stopScanningAndConnect(), 500); // Small delay to allow other devices to be discovered
-          }
-        }
-      });
+      backend.on('discover', onDiscover);
+      backend.on('stateChange', onStateChange);
+      if (scanSpinner) {
+        scanSpinner.update('Bluetooth powered on, scanning...');
+      } else {
+        logger.info('Bluetooth powered on, starting scan...');
+      }
+      backend.startScanning({allowDuplicates: false});
 
       // Timeout fallback - if no device found within timeout, stop scanning
       setTimeout(async () => {
@@ -224,6 +219,206 @@ class WacomBLE {
     });
   }
 
+  // Scan for the full timeout and return every Wacom device seen, without connecting.
+  // options.registeredOnly skips devices that are not registered.
+  // options.onUpdate(devices) is called whenever a device is found or re-advertises
+  // (with updated RSSI and mode); the caller then takes over all scan output.
+  async scanDevices(timeout = 30000, options = {}) {
+    const {registeredOnly = false, onUpdate = null, stopWhen = null} = options;
+    const foundDevices = [];
+    const backend = this.backend;
+    const scanSpinner = logger.isVerbose() || onUpdate ? null : logger.startSpinner(`Scanning for Wacom devices (${Math.round(timeout / 1000)}s)`);
+
+    try {
+      await backend.init(timeout);
+    } catch (error) {
+      if (scanSpinner) scanSpinner.fail(error.message);
+      throw error;
+    }
+
+    const onDiscover = device => {
+      const deviceInfo = this.identifyDevice(device);
+      if (!deviceInfo) {
+        return;
+      }
+      if (registeredOnly && !deviceInfo.registered) {
+        logger.verbose(`Skipping unregistered device "${deviceInfo.name}"`);
+        return;
+      }
+
+      const index = foundDevices.findIndex(({address}) => address === deviceInfo.address);
+      if (index !== -1) {
+        foundDevices[index] = deviceInfo;
+      } else {
+        foundDevices.push(deviceInfo);
+        if (!onUpdate) {
+          logger.success(`Found "${this.describeDevice(deviceInfo)}" ${deviceInfo.registered ? '[registered]' : '[unregistered]'}`);
+        }
+      }
+      if (onUpdate) {
+        onUpdate(foundDevices.slice());
+      }
+      if (stopWhen && stopWhen(deviceInfo)) {
+        stopEarly();
+      }
+    };
+
+    let stopEarly = () => {};
+    return new Promise((resolve, reject) => {
+      let finished = false;
+      const finish = async error => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        backend.removeListener('stateChange', onStateChange);
+        backend.removeListener('discover', onDiscover);
+        await backend.stopScanning();
+        if (error) {
+          if (scanSpinner) scanSpinner.fail(error.message);
+          reject(error);
+          return;
+        }
+        if (scanSpinner) scanSpinner.succeed(`Found ${foundDevices.length} device(s)`);
+        resolve(foundDevices);
+      };
+
+      // Duplicates keep RSSI and advertisement mode current for live listings
+      const allowDuplicates = Boolean(onUpdate);
+      const onStateChange = state => {
+        if (state === 'poweredOff') {
+          finish(new Error('Bluetooth is powered off'));
+        }
+      };
+
+      const timer = setTimeout(() => finish(), timeout);
+      stopEarly = () => finish();
+      backend.on('discover', onDiscover);
+      backend.on('stateChange', onStateChange);
+      backend.startScanning({allowDuplicates});
+    });
+  }
+
+  // Scan until a device satisfies predicate(deviceInfo), without any scan output.
+  // Resolves with that device, or null once the timeout passes.
+  async waitForDevice(predicate, timeout = 60000) {
+    let matched = null;
+    await this.scanDevices(timeout, {
+      onUpdate: () => {},
+      stopWhen: deviceInfo => {
+        if (predicate(deviceInfo)) {
+          matched = deviceInfo;
+          return true;
+        }
+        return false;
+      },
+    });
+    return matched;
+  }
+
+  // Connect to a device found by scanDevices
+  async connectDevice(deviceInfo) {
+    logger.info(`Connecting to ${this.describeDevice(deviceInfo)}...`);
+    await this.connect(deviceInfo);
+    this.deviceInfo = deviceInfo;
+    logger.success('Connection established');
+    return deviceInfo;
+  }
+
+  // Match a device reported by the backend against Wacom advertisement data,
+  // names and registered addresses. Returns device info, or null if it is not a
+  // Wacom device.
+  identifyDevice(device) {
+    const advData = device.manufacturerData;
+    const deviceName = device.name || '';
+    const address = device.address;
+
+    if (logger.isVerbose()) {
+      logger.detail(`Discovered: ${deviceName || '(no name)'} (${address})`);
+      if (advData) {
+        const data = Buffer.from(advData);
+        logger.detail(`Manufacturer data: ${data.toString('hex')} (${data.length} bytes)`);
+      } else {
+        logger.detail('No manufacturer data');
+      }
+    }
+
+    // What matched: {mode: 'registration' | 'data-ready' | 'idle' | 'unknown', pattern}
+    let match = null;
+
+    // Check manufacturer data if available
+    if (advData) {
+      const data = Buffer.from(advData);
+
+      // Check for full manufacturer data patterns
+      const known = ADVERTISEMENT_PATTERNS.find(({data: pattern}) => data.equals(pattern));
+      if (known) {
+        match = {mode: known.mode, pattern: known.label};
+      }
+      // Check for company ID match (first 2 bytes)
+      else if (data.length >= 2) {
+        const companyId = data.readUInt16LE(0);
+        if (companyId === WACOM_COMPANY_ID_COLUMBIA || companyId === WACOM_COMPANY_ID_WACOM || companyId === WACOM_COMPANY_ID_BM) {
+          // During registration, manufacturer data is typically 4 bytes
+          match = {
+            mode: data.length === 4 ? 'registration' : 'unknown',
+            pattern: `company ID 0x${companyId.toString(16)} (${data.length} bytes)`,
+          };
+        }
+      }
+    }
+
+    // Also check device name patterns (useful when manufacturer data is missing)
+    if (!match && deviceName) {
+      const namePattern = WACOM_NAME_PATTERNS.find(pattern => pattern.test(deviceName));
+      if (namePattern) {
+        // If no manufacturer data but name matches, might be in registration mode
+        match = {mode: advData ? 'unknown' : 'registration', pattern: `name ${namePattern}`};
+      }
+    }
+
+    const normalizedAddress = config.normalizeAddress(address);
+    const savedDevice = config.getDevice(normalizedAddress);
+
+    // Also check if device is already registered (by UUID/address)
+    if (!match && savedDevice) {
+      match = {mode: 'unknown', pattern: 'registered address'};
+    }
+
+    if (!match) {
+      return null;
+    }
+
+    return {
+      id: device.id,
+      address: normalizedAddress,
+      name: deviceName || 'Wacom Device',
+      alias: savedDevice?.alias || null,
+      device,
+      rssi: device.rssi ?? null,
+      registered: savedDevice !== null,
+      registrationMode: match.mode === 'registration',
+      mode: match.mode,
+      pattern: match.pattern,
+    };
+  }
+
+  // A selector is a saved alias, a Bluetooth address or the advertised name
+  matchesSelector(deviceInfo, selector) {
+    const savedDevice = config.findDevice(selector);
+    if (savedDevice) {
+      return savedDevice.address === deviceInfo.address;
+    }
+    // An address also selects devices that are not registered yet
+    if (config.isValidAddress(selector)) {
+      return config.normalizeAddress(selector) === deviceInfo.address;
+    }
+    return deviceInfo.name.toLowerCase() === selector.trim().toLowerCase();
+  }
+
+  describeDevice(deviceInfo) {
+    return deviceInfo.alias ? `${deviceInfo.name} (${deviceInfo.alias})` : deviceInfo.name;
+  }
+
   async useSavedUUID(uuid) {
     // Connect using saved UUID (not registration mode)
     // For Slate devices, authentication might not be required after BLE connection
@@ -239,254 +434,366 @@ class WacomBLE {
         throw new Error('Authentication failed');
       }
     } catch (error) {
-      if (error.message.includes('No response')) {
+      if (error instanceof TimeoutError) {
         // For Slate devices, no response might be okay - device is already connected via BLE
         logger.note('Device did not respond to authentication (this may be normal)');
         logger.info('Proceeding with download...');
         return true;
       }
-      if (error.message.includes('invalid state') || error.message.includes('Authorization failed')) {
+      if (error instanceof InvalidStateError || error instanceof AuthorizationError) {
         logger.blank();
         logger.warn('Authentication failed. Possible reasons:');
         logger.detail('1. Device may need a brief button press to wake up');
         logger.detail('2. Device registration may have changed');
         logger.detail('3. Device may be in use by another application');
-        throw new Error('Could not authenticate. Try pressing the device button briefly, then run again.');
+        const message = 'Could not authenticate. Try pressing the device button briefly, then run again.';
+        const details = {opcode: error.opcode, code: error.code, cause: error};
+        throw error instanceof AuthorizationError ? new AuthorizationError(message, details) : new InvalidStateError(message, details);
       }
       throw error;
     }
   }
 
-  async connect(peripheral) {
-    this.peripheral = peripheral;
+  async connect(deviceInfo) {
+    const connection = await this.backend.connect(deviceInfo.device, {timeout: 15000});
+    this.connection = connection;
 
-    return new Promise((resolve, reject) => {
-      let connectionTimeout;
-      let resolved = false;
+    let ready = false;
+    connection.once('disconnect', () => {
+      if (!ready) {
+        logger.warn('Device disconnected');
+      }
+      if (this.connection === connection) {
+        this.connection = null;
+        this.replies.reset();
+      }
+      this.emit('disconnect', deviceInfo);
+    });
 
-      const cleanup = () => {
-        if (connectionTimeout) clearTimeout(connectionTimeout);
-        resolved = true;
-      };
+    logger.info('Connected, discovering services...');
+    await this.discoverServices(connection);
+    ready = true;
+  }
 
-      peripheral.once('connect', async () => {
-        if (resolved) return;
-        cleanup();
-        logger.info('Connected, discovering services...');
-        try {
-          await this.discoverServices(peripheral);
-          resolve();
-        } catch (error) {
-          reject(error);
-        }
-      });
+  async discoverServices(connection) {
+    const characteristics = await connection.discover();
 
-      peripheral.once('disconnect', () => {
-        if (!resolved) {
-          logger.warn('Device disconnected');
-        }
-      });
+    // Find the characteristics we need
+    const find = uuid => (characteristics.includes(uuid) ? uuid : null);
+    this.commandChar = find(CHARACTERISTIC_COMMAND_WRITE);
+    this.commandNotifyChar = find(CHARACTERISTIC_COMMAND_NOTIFY);
+    this.fileTransferChar = find(CHARACTERISTIC_FILE_TRANSFER_NOTIFY);
+    this.eventsChar = find(CHARACTERISTIC_EVENTS_NOTIFY);
+    this.livePenChar = find(CHARACTERISTIC_LIVE_PEN_NOTIFY);
 
-      // Add timeout for connection
-      connectionTimeout = setTimeout(() => {
-        if (!resolved && peripheral.state !== 'connected') {
-          cleanup();
-          peripheral.removeAllListeners('connect');
-          peripheral.removeAllListeners('disconnect');
-          reject(new Error('Connection timeout - device may need a button press to wake up. Try pressing the button briefly, then run again.'));
-        }
-      }, 15000);
+    if (!this.commandChar || !this.commandNotifyChar || !this.fileTransferChar) {
+      throw new Error('Required characteristics not found');
+    }
 
-      peripheral.connect(error => {
-        if (error) {
-          cleanup();
-          logger.error(`BLE connection error: ${error.message}`);
-          reject(error);
+    // Initialize protocol (protocol version will be determined during registration)
+    this.protocol = new WacomProtocol({
+      sendCommand: data => this.sendCommand(data),
+      request: (data, opcodes, timeout) => this.request(data, opcodes, timeout),
+      waitForReply: (opcodes, timeout) => this.waitForReply(opcodes, timeout),
+      startFileTransfer: () => this.resetFileTransfer(),
+      takeFileTransferData: () => this.takeFileTransferData(),
+    });
+
+    // Setup and enable notifications
+    await connection.subscribe(this.commandNotifyChar, data => this.handleCommandResponse(data));
+    await connection.subscribe(this.fileTransferChar, data => this.handleFileTransferData(data));
+    if (this.eventsChar) {
+      await connection.subscribe(this.eventsChar, data => this.handleDeviceEvent(data));
+    }
+    if (this.livePenChar) {
+      await connection.subscribe(this.livePenChar, data => {
+        if (this.livePenHandler) {
+          this.livePenHandler(data);
         }
       });
-    });
+    }
+    logger.success('Services discovered and notifications enabled');
+
+    // Don't authenticate here - we'll do it in downloadAllNotes after protocol is ready
+    // Authentication needs to happen right before we start downloading
   }
 
-  async discoverServices(peripheral) {
-    return new Promise((resolve, reject) => {
-      peripheral.discoverAllServicesAndCharacteristics((error, services, characteristics) => {
-        if (error) {
-          reject(error);
-          return;
-        }
+  // What events-characteristic notifications mean is not known yet (tuhi does
+  // not decode them either), so they are only logged, and recorded in traces
+  handleDeviceEvent(data) {
+    logger.verbose(`Device event: ${Buffer.from(data).toString('hex')}`);
+  }
 
-        // Find the characteristics we need
-        for (const char of characteristics) {
-          const uuid = char.uuid.toLowerCase();
-
-          if (uuid === CHARACTERISTIC_COMMAND_WRITE) {
-            this.commandChar = char;
-          } else if (uuid === CHARACTERISTIC_COMMAND_NOTIFY) {
-            this.commandNotifyChar = char;
-          } else if (uuid === CHARACTERISTIC_FILE_TRANSFER_NOTIFY) {
-            this.fileTransferChar = char;
-          } else if (uuid === CHARACTERISTIC_EVENTS_NOTIFY) {
-            this.eventsChar = char;
-          }
-        }
+  async sendCommand(data) {
+    if (!this.connection) {
+      throw new DisconnectedError('Not connected');
+    }
+    await this.connection.write(this.commandChar, data);
+  }
 
-        if (!this.commandChar || !this.commandNotifyChar || !this.fileTransferChar) {
-          reject(new Error('Required characteristics not found'));
-          return;
-        }
+  // Send a command and wait for a reply with one of `opcodes`
+  async request(data, opcodes, timeout = 5000) {
+    return this.replies.request(() => this.sendCommand(data), opcodes, timeout, data[0]);
+  }
 
-        // Initialize protocol (protocol version will be determined during registration)
-        this.protocol = new WacomProtocol({
-          sendCommand: data => this.sendCommand(data),
-          waitForReply: opcode => this.waitForReply(opcode),
-          getFileTransferBuffer: () => this.fileTransferBuffer, // Use getter to always get current buffer
-          fileTransferComplete: () => this.fileTransferComplete,
-          setFileTransferComplete: val => {
-            this.fileTransferComplete = val;
-          },
-          clearFileTransferBuffer: () => {
-            this.fileTransferBuffer = [];
-          },
-        });
-
-        // Setup notifications
-        this.setupCommandNotify(this.commandNotifyChar);
-        this.setupFileTransferNotify(this.fileTransferChar);
-        if (this.eventsChar) {
-          this.setupEventsNotify(this.eventsChar);
-        }
+  // Wait for a further reply with one of `opcodes`, including one already received
+  async waitForReply(opcodes, timeout = 5000) {
+    return this.replies.waitFor(opcodes, timeout);
+  }
 
-        // Enable notifications
-        const enableNotifications = async () => {
-          try {
-            await this.enableNotification(this.commandNotifyChar);
-            await this.enableNotification(this.fileTransferChar);
-            if (this.eventsChar) {
-              await this.enableNotification(this.eventsChar);
-            }
-            logger.success('Services discovered and notifications enabled');
+  handleCommandResponse(data) {
+    if (data.length < 1) return;
 
-            // Don't authenticate here - we'll do it in downloadAllNotes after protocol is ready
-            // Authentication needs to happen right before we start downloading
+    const buffer = Buffer.from(data);
+    const opcode = buffer[0];
 
-            resolve();
-          } catch (err) {
-            reject(err);
-          }
-        };
+    // File transfer started: [0xc8, 0x01, 0xbe]. The end ([0xc8, 0x01, 0xed])
+    // only needs to reach getOldestFile, which then takes the data.
+    if (opcode === 0xc8 && buffer.length > 2 && buffer[2] === 0xbe) {
+      this.resetFileTransfer();
+    }
 
-        enableNotifications();
-      });
-    });
+    this.replies.dispatch(buffer);
   }
 
-  async enableNotification(characteristic) {
-    return new Promise((resolve, reject) => {
-      characteristic.subscribe(error => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve();
-        }
-      });
-    });
+  handleFileTransferData(data) {
+    // Keep the chunk as it is; they are joined once when the transfer ends
+    const chunk = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    this.fileTransferChunks.push(chunk);
+    this.fileTransferLength += chunk.length;
+
+    logger.verbose(`Received ${chunk.length} bytes of file transfer data (total: ${this.fileTransferLength} bytes)`);
+    this.emit('file-data', this.fileTransferLength);
   }
 
-  setupCommandNotify(characteristic) {
-    characteristic.on('data', (data, isNotification) => {
-      this.handleCommandResponse(data);
-    });
+  resetFileTransfer() {
+    this.fileTransferChunks = [];
+    this.fileTransferLength = 0;
   }
 
-  setupFileTransferNotify(characteristic) {
-    characteristic.on('data', (data, isNotification) => {
-      this.handleFileTransferData(data);
-    });
+  // The data received since the transfer started, as one Buffer
+  takeFileTransferData() {
+    const data = Buffer.concat(this.fileTransferChunks, this.fileTransferLength);
+    this.resetFileTransfer();
+    return data;
   }
 
-  setupEventsNotify(characteristic) {
-    characteristic.on('data', (data, isNotification) => {
-      // Handle events if needed
-    });
+  // Authenticate with the UUID saved at registration.
+  // Returns the saved device record.
+  async authenticate() {
+    if (!this.deviceInfo || !this.deviceInfo.registered) {
+      throw new Error('Device is not registered');
+    }
+
+    const savedConfig = config.getDevice(this.deviceInfo.address);
+    if (!savedConfig || !savedConfig.uuid) {
+      throw new Error('Device registration not found in config');
+    }
+
+    this.protocol.protocolVersion = savedConfig.protocol;
+    await this.useSavedUUID(savedConfig.uuid);
+    return savedConfig;
   }
 
-  async sendCommand(data) {
-    return new Promise((resolve, reject) => {
-      this.commandChar.write(Buffer.from(data), false, error => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve();
-        }
-      });
-    });
+  // Read everything we can about the device without touching its notes.
+  // Each field is null when the device does not answer that query.
+  async readStatus() {
+    const savedConfig = await this.authenticate();
+    const status = {
+      address: savedConfig.address,
+      protocol: savedConfig.protocol,
+      name: null,
+      firmware: null,
+      battery: null,
+      deviceTime: null,
+      fileCount: null,
+    };
+
+    const queries = [
+      ['name', () => this.protocol.getName()],
+      ['firmware', () => this.protocol.getFirmwareVersion()],
+      ['battery', () => this.protocol.getBattery()],
+      ['deviceTime', () => this.protocol.readTime()],
+    ];
+    for (const [field, query] of queries) {
+      try {
+        status[field] = await query();
+      } catch (error) {
+        logger.verbose(`Could not read ${field}: ${error.message}`);
+      }
+    }
+
+    // Counting notes requires paper mode, which leaves the notes untouched
+    try {
+      await this.protocol.setPaperMode();
+      status.fileCount = await this.protocol.getFilesCount();
+    } catch (error) {
+      logger.verbose(`Could not count notes: ${error.message}`);
+    }
+
+    return status;
   }
 
-  async waitForReply(expectedOpcode, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      // Check if there's already a pending reply for this opcode
-      if (this.pendingReplies.has(expectedOpcode)) {
-        reject(new Error(`Already waiting for reply with opcode 0x${expectedOpcode.toString(16)}`));
-        return;
+  async readInfo() {
+    const savedConfig = await this.authenticate();
+    const firmware = await this.protocol.getFirmwareVersion();
+    const name = await this.protocol.getName();
+    return {
+      address: savedConfig.address,
+      uuid: savedConfig.uuid,
+      protocol: savedConfig.protocol,
+      name,
+      firmware,
+    };
+  }
+
+  async setName(name) {
+    await this.authenticate();
+    await this.protocol.setName(name);
+    // Read it back so we report what the device actually stored
+    return this.protocol.getName();
+  }
+
+  // Switch the device to live mode and stream decoded pen events to onEvent and
+  // the 'pen' event ({type: 'point', x, y, p, timestamp} or {type: 'pen-up', timestamp})
+  // until stopLiveMode() is called. Coordinates use the same units as StrokeParser.
+  async startLiveMode(onEvent) {
+    if (!this.livePenChar) {
+      throw new Error('This device does not offer live pen data');
+    }
+
+    const savedConfig = await this.authenticate();
+    const dimensions = await this.readDimensions(savedConfig);
+    const decoder = new LivePenDecoder(dimensions || {});
+    this.livePenHandler = data => {
+      for (const event of decoder.decode(data)) {
+        if (onEvent) {
+          onEvent(event);
+        }
+        this.emit('pen', event);
       }
+    };
 
-      const timer = setTimeout(() => {
-        this.pendingReplies.delete(expectedOpcode);
-        reject(new Error(`Timeout waiting for reply with opcode 0x${expectedOpcode.toString(16)}`));
-      }, timeout);
+    try {
+      await this.protocol.setLiveMode();
+    } catch (error) {
+      this.livePenHandler = null;
+      throw error;
+    }
+    return {dimensions};
+  }
 
-      this.pendingReplies.set(expectedOpcode, data => {
-        clearTimeout(timer);
-        this.pendingReplies.delete(expectedOpcode);
-        resolve(data);
-      });
-    });
+  // Stop streaming and put the device back into paper mode
+  async stopLiveMode() {
+    this.livePenHandler = null;
+    await this.protocol.setPaperMode();
   }
 
-  handleCommandResponse(data) {
-    if (data.length < 1) return;
+  // Authenticate and put the device into file transfer mode.
+  // Returns the saved device record and the number of notes on the device.
+  async prepareForTransfer() {
+    // Following tuhi's retrieve_data flow exactly:
+    // 1. check_connection (authenticate with UUID) - MUST be first
+    // 2. set_time
+    // 3. select_transfer_gatt (before set_paper_mode)
+    // 4. set_paper_mode (inside read_offline_data)
+
+    // Step 1: Check connection / authenticate with UUID
+    // This must be done AFTER services are discovered and protocol is initialized
+    const savedConfig = await this.authenticate();
+    const battery = await this.checkBattery();
+    const dimensions = await this.readDimensions(savedConfig);
+
+    //('info', 'Preparing device for file transfer...');
+
+    // Following tuhi's retrieve_data flow:
+    // 1. check_connection (done above)
+    // 2. set_time (optional, can fail)
+    // 3. select_transfer_gatt (optional, can fail)
+    // 4. read_offline_data which does:
+    //    - set_paper_mode
+    //    - count_available_files
+    //    - download files
+
+    // Step 2: Set device time (optional - can fail without breaking download)
+    try {
+      await this.protocol.setTime();
 
-    const buffer = Buffer.from(data);
-    const opcode = buffer[0];
+      logger.verbose('Device time synchronized');
+    } catch (error) {
+      logger.verbose(`Could not set device time: ${error.message} (this is usually okay)`);
+    }
 
-    // Handle file transfer notifications specially
-    // Format: [0xc8, length, data...]
-    // For 0xc8 0xbe: [0xc8, 0x01, 0xbe] - file transfer started
-    // For 0xc8 0xed: [0xc8, 0x01, 0xed] - file transfer ended
-    if (opcode === 0xc8 && buffer.length > 2) {
-      const dataByte = buffer[2]; // Data is at index 2 (after opcode and length)
-      if (dataByte === 0xbe) {
-        // File transfer started - clear buffer
-        this.fileTransferBuffer = [];
-        this.fileTransferComplete = false;
-        // Still notify any waiting handlers
-        const handler = this.pendingReplies.get(opcode);
-        if (handler) handler(buffer);
-        return;
-      } else if (dataByte === 0xed) {
-        // File transfer ended - notify waiting handlers
-        this.fileTransferComplete = true;
-        const handler = this.pendingReplies.get(opcode);
-        if (handler) handler(buffer);
-        return;
+    // Step 3: Select transfer GATT (optional - can fail without breaking download)
+    // Note: In tuhi, this is called in retrieve_data before read_offline_data
+    try {
+      await this.protocol.selectTransferGatt();
+      logger.verbose('success; File transfer GATT configured');
+    } catch (error) {
+      logger.verbose(`Could not configure transfer GATT: ${error.message} (this is usually okay)`);
+    }
+
+    // Step 4: Set paper mode and get file count
+    // In tuhi's read_offline_data, set_paper_mode is called first, then count_available_files
+    logger.verbose('Setting device to paper mode...');
+    try {
+      await this.protocol.setPaperMode();
+      logger.verbose('Device set to paper mode');
+    } catch (error) {
+      if (error instanceof InvalidStateError) {
+        logger.error('Device is in invalid state (error 0x2).');
+        logger.detail('This usually means the device has no data to download.');
+        logger.detail('Make sure you have notes on the device, then try again.');
+        throw new InvalidStateError('Device has no data or is not ready for download', {opcode: error.opcode, code: error.code, cause: error});
       }
+      throw error;
+    }
+
+    // Get file count
+    const fileCount = await this.protocol.getFilesCount();
+    logger.verbose(`Found ${fileCount} note(s) on device`);
+
+    return {savedConfig, fileCount, battery, dimensions};
+  }
+
+  // Query the tablet size so exports match the real page of this model.
+  // Falls back to the dimensions saved from an earlier run, then to the parser defaults.
+  async readDimensions(savedConfig) {
+    let dimensions;
+    try {
+      dimensions = config.normalizeDimensions(await this.protocol.getDimensions());
+    } catch (error) {
+      logger.verbose(`Could not read tablet dimensions: ${error.message}`);
+    }
+
+    if (!dimensions) {
+      return savedConfig.dimensions || null;
     }
 
-    // Handle other responses
-    const handler = this.pendingReplies.get(opcode);
-    if (handler) {
-      handler(buffer);
+    logger.verbose(`Tablet dimensions: ${dimensions.width}x${dimensions.height} units, point size ${dimensions.pointSize || 'default'}`);
+    const saved = savedConfig.dimensions;
+    if (!saved || saved.width !== dimensions.width || saved.height !== dimensions.height || saved.pointSize !== dimensions.pointSize) {
+      config.updateDevice(savedConfig.address, {dimensions});
     }
+    return dimensions;
   }
 
-  handleFileTransferData(data) {
-    // Accumulate file transfer data
-    const buffer = Buffer.from(data);
-    for (let i = 0; i < buffer.length; i++) {
-      this.fileTransferBuffer.push(buffer[i]);
+  // Report the battery level and warn when it is too low for a long transfer.
+  // Returns null when the device does not answer the battery query.
+  async checkBattery() {
+    let battery;
+    try {
+      battery = await this.protocol.getBattery();
+    } catch (error) {
+      logger.verbose(`Could not read battery level: ${error.message}`);
+      return null;
     }
 
-    logger.verbose(`Received ${buffer.length} bytes of file transfer data (total: ${this.fileTransferBuffer.length} bytes)`);
+    logger.info(`Battery: ${battery.percent}%${battery.charging ? ' (charging)' : ''}`);
+    if (battery.percent < LOW_BATTERY_PERCENT && !battery.charging) {
+      logger.warn(`Battery is low (${battery.percent}%). Connect the charger so the device does not power off mid-transfer.`);
+    }
+    return battery;
   }
 
   async downloadAllNotes(outputDir, options = {}) {
@@ -495,176 +802,333 @@ class WacomBLE {
     this.outputDir = outputDir;
 
     try {
-      // Following tuhi's retrieve_data flow exactly:
-      // 1. check_connection (authenticate with UUID) - MUST be first
-      // 2. set_time
-      // 3. select_transfer_gatt (before set_paper_mode)
-      // 4. set_paper_mode (inside read_offline_data)
-
-      // Step 1: Check connection / authenticate with UUID
-      // This must be done AFTER services are discovered and protocol is initialized
-      if (this.deviceInfo && this.deviceInfo.registered) {
-        const savedConfig = config.getDevice(this.deviceInfo.address);
-        if (savedConfig && savedConfig.uuid) {
+      const {savedConfig, fileCount, dimensions} = await this.prepareForTransfer();
+
+      if (fileCount === 0) {
+        logger.note('No notes found on device.');
+        return [];
+      }
+
+      // Download each file
+      // A note is only deleted from the device once its raw bytes, parsed strokes
+      // and SVG are safely on disk. If any step fails the note stays on the device
+      // and the run stops, because the device would hand us the same note again.
+      // Transfers that fail on the link (a timeout, a missing end marker, a
+      // dropped connection) are retried from the device's current oldest note.
+      // A note that is already archived was saved by a run whose delete did not
+      // complete, so it is only deleted. After requestStop() the note in flight
+      // is still saved but not deleted.
+      const store = new NoteStore(this.outputDir);
+      // Notes to handle and how many of them are done. An interrupted delete may
+      // still have gone through, so both follow the device's count on a resume.
+      let total = fileCount;
+      let handled = 0;
+      const progress = new TransferProgress(total);
+      const onFileData = bytes => progress.received(bytes);
+      this.on('file-data', onFileData);
+      try {
+        while (handled < total) {
+          if (this.stopRequested) {
+            throw await this.stopTransfer(notes, total - handled);
+          }
+          logger.verbose(`Downloading note ${handled + 1}/${total}...`);
+
+          let outcome;
           try {
-            await this.useSavedUUID(savedConfig.uuid);
+            outcome = await this.withTransferRetries(() => `Note ${handled + 1} of ${total}`, async resumed => {
+              if (resumed) {
+                const remaining = await this.protocol.getFilesCount();
+                // Fewer notes than this one started with: its delete landed
+                handled += Math.max(total - handled - remaining, 0);
+                total = handled + remaining;
+                if (remaining === 0) {
+                  return 'done';
+                }
+              }
+
+              // Get file info (timestamp and stroke count)
+              const fileInfo = await this.protocol.getOldestFileInfo();
+              logger.verbose(`  File info: ${fileInfo.count} strokes, timestamp: ${fileInfo.timestamp ? new Date(fileInfo.timestamp * 1000).toISOString() : 'N/A'}`);
+
+              // Download the file
+              progress.startNote(handled, total);
+              const strokeData = await this.protocol.getOldestFile();
+              this.validateTransfer(strokeData, fileInfo);
+              progress.finishNote(strokeData.length);
+              logger.verbose(`  Downloaded ${strokeData.length} bytes of raw data`);
+              const sha256 = NoteStore.hash(strokeData);
+
+              const archived = store.findEntry(sha256);
+              if (archived && store.isArchived(archived)) {
+                logger.verbose(`  Already archived as ${archived.raw}, only deleting it`);
+              } else {
+                let note;
+                try {
+                  note = this.persistNote(store, strokeData, fileInfo, handled, {orientation, dimensions, protocol: savedConfig.protocol});
+                } catch (error) {
+                  logger.error(`Note ${handled + 1} was not saved: ${error.message}`);
+                  throw new Error(`Download stopped at note ${handled + 1} of ${total}; it was not deleted from the device`);
+                }
+                notes.push(note);
+              }
+
+              if (this.stopRequested) {
+                return 'stopped';
+              }
+
+              await this.protocol.deleteOldestFile();
+              return 'saved';
+            });
           } catch (error) {
+            if (this.stopRequested && !(error instanceof InterruptedError)) {
+              throw await this.stopTransfer(notes, total - handled, error);
+            }
+            logger.note(`Note ${handled + 1} was left on the device. ${notes.length} note(s) saved before stopping.`);
             throw error;
           }
-        } else {
-          throw new Error('Device registration not found in config');
+
+          if (outcome === 'done') {
+            break;
+          }
+          if (outcome === 'stopped') {
+            throw await this.stopTransfer(notes, total - handled);
+          }
+          handled++;
         }
-      } else {
-        throw new Error('Device is not registered');
+      } finally {
+        this.removeListener('file-data', onFileData);
+        progress.stop();
+      }
+
+      if (progress.bytes > 0) {
+        const rate = TransferProgress.rate(progress.bytes, progress.ms);
+        logger.info(`Transferred ${TransferProgress.formatBytes(progress.bytes)} in ${(progress.ms / 1000).toFixed(1)}s (${rate} bytes/s)`);
       }
+    } catch (error) {
+      if (logger.isVerbose()) {
+        logger.error(`Error downloading notes: ${error.message}`);
+        if (error.stack) {
+          logger.detail(error.stack);
+        }
+      }
+      throw error;
+    }
 
-      //('info', 'Preparing device for file transfer...');
+    return notes;
+  }
 
-      // Following tuhi's retrieve_data flow:
-      // 1. check_connection (done above)
-      // 2. set_time (optional, can fail)
-      // 3. select_transfer_gatt (optional, can fail)
-      // 4. read_offline_data which does:
-      //    - set_paper_mode
-      //    - count_available_files
-      //    - download files
+  // Check a transferred note before it is accepted. A note that fails counts as
+  // a failed transfer, so it stays on the device and is fetched again.
+  validateTransfer(strokeData, fileInfo) {
+    let summary;
+    try {
+      summary = new StrokeParser().inspect(strokeData);
+    } catch (error) {
+      throw new TransferError(`Received note is invalid: ${error.message}`, {opcode: 0xc3, cause: error});
+    }
+    // A count of 0 means the device did not report one; a null strokeCount
+    // that the parser could not count the strokes
+    if (fileInfo.count > 0 && summary.strokeCount !== null && summary.strokeCount !== fileInfo.count) {
+      throw new TransferError(`Received note has ${summary.strokeCount} stroke(s), the device announced ${fileInfo.count}`, {opcode: 0xc3});
+    }
+    const strokes = summary.strokeCount === null ? 'strokes not parsed' : `${summary.strokeCount} stroke(s)`;
+    logger.verbose(`  Validated ${summary.format} note: ${summary.decompressedLength} bytes decompressed, ${strokes}`);
+  }
 
-      // Step 2: Set device time (optional - can fail without breaking download)
+  // Run action(resumed) until it succeeds. Failures that a retry can fix
+  // (timeouts, a dropped link, device errors) are retried with exponential
+  // backoff; before each retry resumeTransfer() gets the device ready again and
+  // action is called with resumed = true. describe() names the work in warnings.
+  async withTransferRetries(describe, action) {
+    for (let attempt = 1; ; attempt++) {
       try {
-        await this.protocol.setTime();
-
-        logger.verbose('Device time synchronized');
+        if (attempt > 1) {
+          await this.resumeTransfer();
+        }
+        return await action(attempt > 1);
       } catch (error) {
-        logger.verbose(`Could not set device time: ${error.message} (this is usually okay)`);
+        if (!(error instanceof WacomError) || !error.retryable || attempt >= TRANSFER_ATTEMPTS || this.stopRequested) {
+          throw error;
+        }
+        const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+        logger.warn(`${describe()} failed: ${error.message}`);
+        logger.detail(`Retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1} of ${TRANSFER_ATTEMPTS})`);
+        // requestStop() cuts the wait short; give up rather than reconnect,
+        // and let the caller stop the transfer
+        await this.sleepUnlessStopped(delay);
+        if (this.stopRequested) {
+          throw error;
+        }
       }
+    }
+  }
 
-      // Step 3: Select transfer GATT (optional - can fail without breaking download)
-      // Note: In tuhi, this is called in retrieve_data before read_offline_data
-      try {
-        await this.protocol.selectTransferGatt();
-        logger.verbose('success; File transfer GATT configured');
-      } catch (error) {
-        logger.verbose(`Could not configure transfer GATT: ${error.message} (this is usually okay)`);
+  // Wait `ms` milliseconds, or until requestStop() is called
+  sleepUnlessStopped(ms) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        this.removeListener('stop', done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      this.once('stop', done);
+    });
+  }
+
+  // Ask a running download or registration to stop at the next safe point.
+  // A download finishes the note in flight without deleting it; a registration
+  // is abandoned while it waits for the button press. Either then rejects with
+  // an InterruptedError.
+  requestStop() {
+    if (this.stopRequested) {
+      return;
+    }
+    this.stopRequested = true;
+    this.emit('stop');
+  }
+
+  // Resolve like promise, but reject as soon as a stop is requested
+  untilStopped(promise) {
+    return new Promise((resolve, reject) => {
+      const onStop = () => reject(new InterruptedError('Interrupted'));
+      if (this.stopRequested) {
+        onStop();
+        return;
       }
+      this.once('stop', onStop);
+      promise.then(resolve, reject).finally(() => this.removeListener('stop', onStop));
+    });
+  }
 
-      // Step 4: Set paper mode and get file count
-      // In tuhi's read_offline_data, set_paper_mode is called first, then count_available_files
-      logger.verbose('Setting device to paper mode...');
+  // End a download after requestStop(): put the device back into paper mode so
+  // it keeps storing new drawings, and return the InterruptedError to throw
+  async stopTransfer(notes, remaining, cause = undefined) {
+    if (this.connection) {
       try {
         await this.protocol.setPaperMode();
-        logger.verbose('Device set to paper mode');
       } catch (error) {
-        if (error.message.includes('invalid state')) {
-          logger.error('Device is in invalid state (error 0x2).');
-          logger.detail('This usually means the device has no data to download.');
-          logger.detail('Make sure you have notes on the device, then try again.');
-          throw new Error('Device has no data or is not ready for download');
-        }
-        throw error;
+        logger.verbose(`Could not restore paper mode: ${error.message}`);
       }
+    }
+    return new InterruptedError('Download interrupted', {notes, remaining, cause});
+  }
 
-      // Get file count
-      const fileCount = await this.protocol.getFilesCount();
-      logger.verbose(`Found ${fileCount} note(s) on device`);
-
-      if (fileCount === 0) {
-        logger.note('No notes found on device.');
-        return [];
+  // Reconnect and re-authenticate if the device dropped the link, and put it
+  // back into paper mode, which also ends a half-finished transfer
+  async resumeTransfer() {
+    if (!this.connection) {
+      logger.info(`Reconnecting to ${this.describeDevice(this.deviceInfo)}...`);
+      await this.connect(this.deviceInfo);
+      await this.authenticate();
+      try {
+        await this.protocol.selectTransferGatt();
+      } catch (error) {
+        logger.verbose(`Could not configure transfer GATT: ${error.message} (this is usually okay)`);
       }
+    }
+    await this.protocol.setPaperMode();
+  }
 
-      // Download each file
-      for (let i = 0; i < fileCount; i++) {
-        logger.verbose(`Downloading note ${i + 1}/${fileCount}...`);
-
-        // Get file info (timestamp and stroke count)
-        const fileInfo = await this.protocol.getOldestFileInfo();
-        logger.verbose(`  File info: ${fileInfo.count} strokes, timestamp: ${fileInfo.timestamp ? new Date(fileInfo.timestamp * 1000).toISOString() : 'N/A'}`);
-
-        // Download the file
-        const strokeData = await this.protocol.getOldestFile();
-        logger.verbose(`  Downloaded ${strokeData.length} bytes of raw data`);
-
-        // Log a hash of first 50 bytes to verify files are different
-        const hashBytes = strokeData.slice(0, Math.min(50, strokeData.length));
-        const hash = hashBytes.reduce((sum, b) => sum + b, 0).toString(16);
-        logger.verbose(`  Data hash (first 50 bytes sum): 0x${hash}`);
-
-        // Delete the file from device IMMEDIATELY after download (before parsing)
-        // This ensures we get the next file on the next iteration
-        await this.protocol.deleteOldestFile();
-
-        // Verify deletion worked by checking file count decreased
-        const newFileCount = await this.protocol.getFilesCount();
-        logger.verbose(`  File count after deletion: ${newFileCount} (was ${fileCount - i})`);
-
-        // Add a small delay to ensure deletion completes
-        await new Promise(resolve => setTimeout(resolve, 200));
+  // Delete notes from the device, oldest first, as long as each one is
+  // archived in outputDir with matching content. Stops at the first note
+  // that is not, since the device always hands out its oldest note.
+  async purgeArchivedNotes(outputDir) {
+    const {fileCount} = await this.prepareForTransfer();
+    const store = new NoteStore(outputDir);
+    let purged = 0;
+
+    for (let i = 0; i < fileCount; i++) {
+      const fileInfo = await this.protocol.getOldestFileInfo();
+      const strokeData = await this.protocol.getOldestFile();
+      const sha256 = NoteStore.hash(strokeData);
+      const entry = store.findEntry(sha256);
+
+      if (!entry || !store.isArchived(entry)) {
+        const when = fileInfo.timestamp ? new Date(fileInfo.timestamp * 1000).toISOString() : 'unknown time';
+        logger.warn(`Oldest note on the device (${when}) is not archived in ${outputDir}; stopping.`);
+        logger.detail('Run "wacom-download download" to archive it (and everything after it) first.');
+        break;
+      }
 
-        if (strokeData && strokeData.length > 0) {
-          try {
-            // Log first few bytes to verify we're getting different data
-            const firstBytes = strokeData
-              .slice(0, Math.min(20, strokeData.length))
-              .map(b => `0x${b.toString(16).padStart(2, '0')}`)
-              .join(' ');
-            logger.verbose(`  First bytes: ${firstBytes}...`);
-
-            // Parse strokes
-            const parser = new StrokeParser();
-            const drawing = parser.parse(strokeData, fileInfo.timestamp);
-
-            if (!drawing || !drawing.strokes || drawing.strokes.length === 0) {
-              console.warn(`Note ${i + 1}: Parsed but no strokes found`);
-              continue;
-            }
+      await this.protocol.deleteOldestFile();
+      purged++;
+      logger.verbose(`Deleted note ${i + 1}/${fileCount} (archived as ${entry.raw})`);
+    }
 
-            // Log parsed stroke info and sample coordinates
-            const totalPoints = drawing.strokes.reduce((sum, {length}) => sum + length, 0);
-            const firstPoint = drawing.strokes[0] && drawing.strokes[0][0];
-            const lastPoint = drawing.strokes[drawing.strokes.length - 1] && drawing.strokes[drawing.strokes.length - 1][drawing.strokes[drawing.strokes.length - 1].length - 1];
-            logger.verbose(`  Parsed: ${drawing.strokes.length} stroke(s), ${totalPoints} point(s)`);
-            if (firstPoint) {
-              logger.verbose(`  First point: x=${firstPoint.x.toFixed(2)}, y=${firstPoint.y.toFixed(2)}, p=${firstPoint.p}`);
-            }
-            if (lastPoint) {
-              logger.verbose(`  Last point: x=${lastPoint.x.toFixed(2)}, y=${lastPoint.y.toFixed(2)}, p=${lastPoint.p}`);
-            }
+    return {purged, remaining: fileCount - purged};
+  }
 
-            // Convert to SVG
-            const converter = new SVGConverter({orientation});
-            const svg = converter.convert(drawing);
+  // Write the raw bytes, verify they parse and save the SVG. Throws if any step
+  // fails, in which case the caller must not delete the note from the device.
+  persistNote(store, strokeData, fileInfo, index, options = {}) {
+    const {orientation = 'landscape', dimensions = null, protocol = null} = options;
 
-            // Save immediately
-            const timestamp = fileInfo.timestamp ? new Date(fileInfo.timestamp * 1000).toISOString().replace(/[:.]/g, '-').slice(0, -5) : `note-${i + 1}`;
-            const filename = path.join(this.outputDir, `${timestamp}.svg`);
+    if (!strokeData || strokeData.length === 0) {
+      throw new Error('No data received');
+    }
 
-            fs.writeFileSync(filename, svg);
-            logger.verbose(`Note ${i + 1} saved: ${filename} (${drawing.strokes.length} stroke(s), ${strokeData.length} bytes)`);
+    // Log first few bytes to verify we're getting different data
+    const firstBytes = Array.from(strokeData.subarray(0, 20))
+      .map(b => `0x${b.toString(16).padStart(2, '0')}`)
+      .join(' ');
+    logger.verbose(`  First bytes: ${firstBytes}...`);
+
+    // Keep the original bytes before anything else can go wrong
+    const baseName = store.reserveBaseName(fileInfo.timestamp, index);
+    const rawFilename = store.saveRaw(baseName, strokeData);
+    logger.verbose(`  Raw data saved: ${rawFilename}`);
+
+    // Parse strokes and convert to SVG. The raw data is safe at this point, so a
+    // note we cannot render is still archived (and deleted from the device);
+    // the render command can convert it once the parser handles it.
+    let rendered = null;
+    let renderError = null;
+    try {
+      rendered = new NoteRenderer({orientation, dimensions}).render(strokeData, fileInfo.timestamp);
+    } catch (error) {
+      renderError = error.message;
+      logger.warn(`Note ${index + 1} could not be rendered (${error.message}); raw data kept in ${rawFilename}`);
+    }
 
-            notes.push({
-              timestamp: fileInfo.timestamp,
-              svg,
-              filename,
-            });
-          } catch (parseError) {
-            logger.error(`Error parsing note ${i + 1}: ${parseError.message}`);
-            continue;
-          }
-        } else {
-          logger.warn(`Note ${i + 1}: No data received`);
-        }
+    let filename = null;
+    if (rendered) {
+      // Log parsed stroke info and sample coordinates
+      const {drawing} = rendered;
+      const totalPoints = drawing.strokes.reduce((sum, {length}) => sum + length, 0);
+      const firstPoint = drawing.strokes[0] && drawing.strokes[0][0];
+      const lastStroke = drawing.strokes[drawing.strokes.length - 1];
+      const lastPoint = lastStroke && lastStroke[lastStroke.length - 1];
+      logger.verbose(`  Parsed: ${drawing.strokes.length} stroke(s), ${totalPoints} point(s)`);
+      if (firstPoint) {
+        logger.verbose(`  First point: x=${firstPoint.x.toFixed(2)}, y=${firstPoint.y.toFixed(2)}, p=${firstPoint.p}`);
       }
-    } catch (error) {
-      if (logger.isVerbose()) {
-        logger.error(`Error downloading notes: ${error.message}`);
-        if (error.stack) {
-          logger.detail(error.stack);
-        }
+      if (lastPoint) {
+        logger.verbose(`  Last point: x=${lastPoint.x.toFixed(2)}, y=${lastPoint.y.toFixed(2)}, p=${lastPoint.p}`);
       }
-      throw error;
+
+      filename = store.saveSvg(baseName, rendered.svg);
     }
 
-    return notes;
+    const entry = store.addManifestEntry({
+      baseName,
+      bytes: strokeData,
+      address: this.deviceInfo?.address,
+      protocol,
+      timestamp: fileInfo.timestamp,
+      strokeCount: fileInfo.count,
+      dimensions,
+      renderError,
+    });
+    logger.verbose(`Note ${index + 1} saved: ${filename || rawFilename} (${rendered ? `${rendered.drawing.strokes.length} stroke(s), ` : ''}${strokeData.length} bytes, sha256 ${entry.sha256.slice(0, 12)})`);
+
+    return {
+      timestamp: fileInfo.timestamp,
+      svg: rendered ? rendered.svg : null,
+      filename,
+      rawFilename,
+      sha256: entry.sha256,
+    };
   }
 
   async registerDevice() {
@@ -698,25 +1162,25 @@ class WacomBLE {
       if (isSpark) {
         // Spark registration flow
         logger.info('Detected Spark device');
-        const connectResult = await this.protocol.connect(uuid, true);
+        const connectResult = await this.untilStopped(this.protocol.connect(uuid, true));
         // Spark may return needsRegistration, which is expected during registration
 
         logger.note('Press the button on the device now to confirm registration...');
         await this.protocol.registerPressButton(null); // No UUID for Spark
 
-        const waitResult = await this.protocol.registerWaitForButton(15000);
+        const waitResult = await this.untilStopped(this.protocol.registerWaitForButton(15000));
         // For Spark, protocolVersion from waitResult should be 'SPARK'
         protocolVersion = waitResult.protocolVersion || 'SPARK';
       } else {
         // Slate/Intuos registration flow
         logger.info('Detected Slate/Intuos device');
-        const connectResult = await this.protocol.connect(uuid, true);
+        const connectResult = await this.untilStopped(this.protocol.connect(uuid, true));
         // Should succeed for Slate/Intuos
 
         logger.note('Press the button on the device now to confirm registration...');
         await this.protocol.registerPressButton(uuid);
 
-        const waitResult = await this.protocol.registerWaitForButton(15000);
+        const waitResult = await this.untilStopped(this.protocol.registerWaitForButton(15000));
         // Check if it's Intuos Pro (0x53 reply) or Slate (0xe4 reply)
         // But we already know it's not Spark (has eventsChar), so use waitResult or default to SLATE
         if (waitResult.protocolVersion === 'INTUOS_PRO') {
@@ -726,6 +1190,8 @@ class WacomBLE {
         }
       }
 
+      // Once the device has accepted the UUID, registration is completed even if
+      // a stop was requested, or the device would need to be registered again
       logger.info('Button pressed! Completing registration...');
 
       // For Slate/Intuos devices, registerComplete is a NOOP, so we skip it
@@ -774,9 +1240,14 @@ class WacomBLE {
   }
 
   async disconnect() {
-    if (this.peripheral) {
-      this.peripheral.disconnect();
+    if (!this.connection) {
+      return;
     }
+
+    const connection = this.connection;
+    this.connection = null;
+    this.replies.reset();
+    await connection.disconnect();
   }
 }
 
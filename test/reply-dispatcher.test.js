@@ -0,0 +1,39 @@
+// Tests of how ReplyDispatcher hands command replies to waiters
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import ReplyDispatcher from '../lib/reply-dispatcher.js';
+import {DisconnectedError, TimeoutError} from '../lib/errors.js';
+
+test('a reply that arrives before anyone waits is queued for the next waiter', async () => {
+  const replies = new ReplyDispatcher();
+  replies.dispatch([0xc7, 0x04, 0x00, 0x00, 0x00, 0x01]);
+  replies.dispatch([0xcd, 0x06, 0x24, 0x10, 0x18, 0x09, 0x30, 0x00]);
+
+  assert.deepEqual(await replies.waitFor(0xcd, 100), [0xcd, 0x06, 0x24, 0x10, 0x18, 0x09, 0x30, 0x00]);
+  assert.deepEqual(await replies.waitFor(0xc7, 100), [0xc7, 0x04, 0x00, 0x00, 0x00, 0x01]);
+});
+
+test('a waiter for several opcodes takes whichever arrives first', async () => {
+  const replies = new ReplyDispatcher();
+  const reply = replies.waitFor([0x50, 0x51, 0xb3], 100);
+  replies.dispatch([0x51, 0x01, 0x01]);
+
+  assert.deepEqual(await reply, [0x51, 0x01, 0x01]);
+});
+
+test('request drops queued replies to earlier commands', async () => {
+  const replies = new ReplyDispatcher();
+  replies.dispatch([0xb3, 0x01, 0x02]);
+  const reply = await replies.request(() => replies.dispatch([0xb3, 0x01, 0x00]), 0xb3, 100, 0xca);
+
+  assert.deepEqual(reply, [0xb3, 0x01, 0x00]);
+});
+
+test('waiters fail with a TimeoutError, or a DisconnectedError on reset', async () => {
+  const replies = new ReplyDispatcher();
+  await assert.rejects(replies.request(async () => {}, 0xb3, 20, 0xca), error => error instanceof TimeoutError && error.opcode === 0xca);
+
+  const reply = replies.waitFor(0xc8, 1000);
+  replies.reset();
+  await assert.rejects(reply, DisconnectedError);
+});
@@ -0,0 +1,333 @@
+// End-to-end tests of registration, downloads, stopping, traces and rendering
+// against the simulated device
+import {test, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import {spawnSync} from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+// config.js reads ~/.wacom-downloader when it is first imported, so point HOME
+// at a scratch directory before loading anything that uses it
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'wacom-test-'));
+process.env.HOME = home;
+
+const {default: WacomBLE} = await import('../lib/wacom-ble.js');
+const {default: SimulatedBackend} = await import('../lib/backends/simulated-backend.js');
+const {default: DeviceSimulator} = await import('../lib/device-simulator.js');
+const {default: ReplayBackend} = await import('../lib/backends/replay-backend.js');
+const {createBackend} = await import('../lib/backends/index.js');
+const {default: TraceRecorder} = await import('../lib/trace.js');
+const {default: config} = await import('../lib/config.js');
+const {DeviceError, InvalidStateError, InterruptedError, TransferError} = await import('../lib/errors.js');
+
+const cli = fileURLToPath(new URL('../index.js', import.meta.url));
+
+let outputCount = 0;
+
+// A fresh notes directory for each download
+function outputDir() {
+  outputCount++;
+  return path.join(home, `notes-${outputCount}`);
+}
+
+// Connect to a simulated device; registered ones pick up their UUID from the config
+async function connect(model, registerMode = false, backend = new SimulatedBackend({model, buttonDelay: 10})) {
+  const wacom = new WacomBLE({backend});
+  const device = await wacom.scanAndConnect(2000, registerMode);
+  assert.ok(device, `simulated ${model} was not found`);
+  return {wacom, simulator: backend.simulator};
+}
+
+function readManifest(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8')).notes;
+}
+
+async function register(model) {
+  const {wacom, simulator} = await connect(model, true);
+  try {
+    return {result: await wacom.registerDevice(), simulator};
+  } finally {
+    await wacom.disconnect();
+  }
+}
+
+before(async () => {
+  await register('slate');
+});
+
+after(() => {
+  fs.rmSync(home, {recursive: true, force: true});
+});
+
+test('registerDevice saves the UUID the device accepted', async () => {
+  const {result, simulator} = await register('spark');
+
+  assert.equal(result.protocol, 'SPARK');
+  assert.equal(simulator.uuid, result.uuid.toUpperCase());
+  assert.equal(config.getDevice(result.address).uuid, result.uuid);
+});
+
+test('downloadAllNotes saves every note and then deletes it', async () => {
+  const {wacom, simulator} = await connect('slate');
+  const dir = outputDir();
+  try {
+    const notes = await wacom.downloadAllNotes(dir);
+
+    assert.equal(notes.length, 3);
+    assert.equal(simulator.notes.length, 0);
+    const manifest = readManifest(dir);
+    assert.equal(manifest.length, 3);
+    for (const entry of manifest) {
+      assert.ok(fs.existsSync(path.join(dir, entry.raw)));
+      assert.ok(fs.existsSync(path.join(dir, entry.svg)));
+    }
+  } finally {
+    await wacom.disconnect();
+  }
+});
+
+test('downloadAllNotes saves a blank page', async () => {
+  const {wacom, simulator} = await connect('slate');
+  simulator.notes.length = 0;
+  simulator.addNote([]);
+  const dir = outputDir();
+  try {
+    const notes = await wacom.downloadAllNotes(dir);
+
+    assert.equal(notes.length, 1);
+    assert.equal(simulator.notes.length, 0);
+    assert.doesNotMatch(notes[0].svg, /<path/);
+  } finally {
+    await wacom.disconnect();
+  }
+});
+
+test('downloadAllNotes archives a complete note the stroke parser rejects', async () => {
+  await register('intuos-pro');
+  const {wacom, simulator} = await connect('intuos-pro');
+  // A gieb note whose point comes before any stroke header: drop the 0xfa
+  // record (9 bytes after the 16-byte header)
+  const note = DeviceSimulator.encodeNote([[{x: 100, y: 100, p: 500}]], 'gieb');
+  simulator.notes.length = 0;
+  simulator.notes.push({timestamp: 1700000000, strokeCount: 1, data: Buffer.concat([note.subarray(0, 16), note.subarray(25)])});
+  const dir = outputDir();
+  try {
+    const notes = await wacom.downloadAllNotes(dir);
+
+    assert.equal(notes.length, 1);
+    assert.equal(simulator.notes.length, 0);
+    assert.ok(fs.existsSync(path.join(dir, readManifest(dir)[0].raw)));
+  } finally {
+    await wacom.disconnect();
+  }
+});
+
+test('validateTransfer rejects notes that are not complete Smartpad files', () => {
+  const wacom = new WacomBLE({backend: new SimulatedBackend({model: 'slate'})});
+  const note = DeviceSimulator.encodeNote([[{x: 100, y: 100, p: 500}]]);
+
+  assert.doesNotThrow(() => wacom.validateTransfer(note, {count: 1}));
+  // Wrong magic
+  assert.throws(() => wacom.validateTransfer(Buffer.concat([Buffer.from('abcd'), note.subarray(4)]), {count: 1}), TransferError);
+  // The last compressed block is cut short. The decompressor turns every block
+  // into 8 bytes, so this is also how a length that is not a multiple of 8 shows
+  assert.throws(() => wacom.validateTransfer(note.subarray(0, note.length - 1), {count: 1}), /ends inside a compressed block/);
+  // Stroke count differs from the one announced
+  assert.throws(() => wacom.validateTransfer(note, {count: 2}), /has 1 stroke\(s\), the device announced 2/);
+  // A count of 0 means the device did not announce one
+  assert.doesNotThrow(() => wacom.validateTransfer(note, {count: 0}));
+});
+
+test('downloadAllNotes transfers a note again when it arrives incomplete', async () => {
+  const {wacom, simulator} = await connect('slate');
+  simulator.truncateNextTransfer(5);
+  const {length} = simulator.notes[0].data;
+  const dir = outputDir();
+  try {
+    const notes = await wacom.downloadAllNotes(dir);
+
+    assert.equal(notes.length, 3);
+    assert.equal(simulator.notes.length, 0);
+    const manifest = readManifest(dir);
+    assert.equal(manifest.length, 3);
+    assert.equal(manifest[0].byteLength, length);
+  } finally {
+    await wacom.disconnect();
+  }
+});
+
+test('downloadAllNotes reconnects after the link drops mid-transfer', async () => {
+  const {wacom, simulator} = await connect('slate');
+  simulator.dropNext(0xc3);
+  const dir = outputDir();
+  try {
+    const notes = await wacom.downloadAllNotes(dir);
+
+    assert.equal(notes.length, 3);
+    assert.equal(simulator.notes.length, 0);
+    assert.equal(readManifest(dir).length, 3);
+  } finally {
+    await wacom.disconnect();
+  }
+});
+
+test('downloadAllNotes neither skips nor repeats a note when the link drops during a delete', async () => {
+  const {wacom, simulator} = await connect('slate');
+  simulator.dropNext(0xca);
+  const dir = outputDir();
+  try {
+    const notes = await wacom.downloadAllNotes(dir);
+
+    assert.equal(notes.length, 3);
+    assert.equal(simulator.notes.length, 0);
+    assert.equal(new Set(readManifest(dir).map(entry => entry.sha256)).size, 3);
+  } finally {
+    await wacom.disconnect();
+  }
+});
+
+test('downloadAllNotes checks the note count when a delete goes unanswered', async () => {
+  const {wacom, simulator} = await connect('slate');
+  simulator.ignoreNext(0xca);
+  const dir = outputDir();
+  try {
+    const notes = await wacom.downloadAllNotes(dir);
+
+    assert.equal(notes.length, 3);
+    assert.equal(simulator.notes.length, 0);
+    assert.equal(new Set(readManifest(dir).map(entry => entry.sha256)).size, 3);
+  } finally {
+    await wacom.disconnect();
+  }
+});
+
+test('downloadAllNotes retries a transfer the device reports an error for', async () => {
+  const {wacom, simulator} = await connect('slate');
+  simulator.failNext(0xc3);
+  try {
+    const notes = await wacom.downloadAllNotes(outputDir());
+
+    assert.equal(notes.length, 3);
+    assert.equal(simulator.notes.length, 0);
+  } finally {
+    await wacom.disconnect();
+  }
+});
+
+test('downloadAllNotes fails at once on an error retrying cannot fix', async () => {
+  const {wacom, simulator} = await connect('slate');
+  // 0x05: command not supported
+  simulator.failNext(0xca, 0x05);
+  try {
+    await assert.rejects(wacom.downloadAllNotes(outputDir()), error => error instanceof DeviceError && error.exitCode === 7);
+    // The first note was saved but not deleted
+    assert.equal(simulator.notes.length, 3);
+  } finally {
+    await wacom.disconnect();
+  }
+});
+
+test('downloadAllNotes reports a device in the wrong mode', async () => {
+  const {wacom, simulator} = await connect('slate');
+  // 0x02: invalid state, in reply to switching to paper mode
+  simulator.failNext(0xb1, 0x02);
+  try {
+    await assert.rejects(wacom.downloadAllNotes(outputDir()), InvalidStateError);
+    assert.equal(simulator.notes.length, 3);
+  } finally {
+    await wacom.disconnect();
+  }
+});
+
+test('requestStop saves the note in transfer but leaves it on the device', async () => {
+  const {wacom, simulator} = await connect('slate');
+  wacom.once('file-data', () => wacom.requestStop());
+  const dir = outputDir();
+  try {
+    await assert.rejects(wacom.downloadAllNotes(dir), error => {
+      assert.ok(error instanceof InterruptedError);
+      assert.equal(error.notes.length, 1);
+      assert.equal(error.remaining, 3);
+      return true;
+    });
+    assert.equal(simulator.notes.length, 3);
+    assert.equal(readManifest(dir).length, 1);
+  } finally {
+    await wacom.disconnect();
+  }
+});
+
+test('downloadAllNotes only deletes a note that is already archived', async () => {
+  const {wacom, simulator} = await connect('slate');
+  const dir = outputDir();
+  try {
+    wacom.once('file-data', () => wacom.requestStop());
+    await assert.rejects(wacom.downloadAllNotes(dir), InterruptedError);
+  } finally {
+    await wacom.disconnect();
+  }
+
+  // The first note is saved but still on the device
+  const second = await connect('slate');
+  second.simulator.notes = simulator.notes;
+  try {
+    const notes = await second.wacom.downloadAllNotes(dir);
+
+    assert.equal(notes.length, 2);
+    assert.equal(second.simulator.notes.length, 0);
+    const manifest = readManifest(dir);
+    assert.equal(manifest.length, 3);
+    assert.equal(new Set(manifest.map(entry => entry.sha256)).size, 3);
+  } finally {
+    await second.wacom.disconnect();
+  }
+});
+
+test('a recorded trace replays the same download', async () => {
+  const file = path.join(home, 'download.jsonl');
+  const trace = new TraceRecorder(file);
+  const recorded = outputDir();
+  const {wacom} = await connect('slate', false, createBackend('simulate', {model: 'slate', trace}));
+  try {
+    await wacom.downloadAllNotes(recorded);
+  } finally {
+    await wacom.disconnect();
+    trace.close();
+  }
+
+  const replay = await connect('slate', false, new ReplayBackend({file, speed: 4}));
+  const replayed = outputDir();
+  try {
+    const notes = await replay.wacom.downloadAllNotes(replayed);
+
+    assert.equal(notes.length, 3);
+    const hashes = dir => readManifest(dir).map(entry => entry.sha256);
+    assert.deepEqual(hashes(replayed), hashes(recorded));
+  } finally {
+    await replay.wacom.disconnect();
+  }
+});
+
+test('render converts an archived raw note to the SVG download saved', async () => {
+  const {wacom} = await connect('slate');
+  const dir = outputDir();
+  try {
+    await wacom.downloadAllNotes(dir);
+  } finally {
+    await wacom.disconnect();
+  }
+
+  const [entry] = readManifest(dir);
+  const rendered = outputDir();
+  const result = spawnSync(process.execPath, [cli, 'render', path.join(dir, entry.raw), '--output', rendered], {
+    env: {...process.env, HOME: home},
+    encoding: 'utf8',
+    timeout: 30000,
+  });
+
+  assert.equal(result.status, 0, result.stderr);
+  const svg = file => fs.readFileSync(file, 'utf8');
+  assert.equal(svg(path.join(rendered, entry.svg)), svg(path.join(dir, entry.svg)));
+});